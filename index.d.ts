@@ -0,0 +1,708 @@
+/**
+ * The configuration of the parser.
+ */
+export interface Settings {
+	/** A value indicating whether a long option can be abbreviated to a unique prefix of its long form, as in '--verb' for '--verbose'. */
+	abbreviations?: boolean
+	/** A function that will be called after parsing. */
+	callback?: ResultsCallback
+	/** A value indicating whether the long forms, and the short forms in the single-dash and Windows syntaxes, are matched case-insensitively. */
+	caseInsensitive?: boolean
+	/** The specification of the commands. */
+	commands?: readonly Command[]
+	/** A value indicating whether to handle the requests of a completion script for the candidates of an argument, which are the arguments beginning with '--getopt-complete', by throwing a {@link CompletionRequest}. */
+	completion?: boolean
+	/** The path(s) to the configuration files from which to read the values of unspecified options, where later files take precedence. */
+	configFiles?: string | readonly string[]
+	/** The prefix of the environment variables from which to read the values of unspecified options. */
+	envPrefix?: string
+	/** A function that will be called when an error occurs. */
+	error?: ErrorCallback
+	/** A value indicating whether to only show the first short and long option. */
+	first?: boolean
+	/** The groups of related options. */
+	groups?: readonly Group[]
+	/** The locale of the messages and the descriptions, such as 'fr' or 'fr-CA', where the messages fall back to the language and then to English. */
+	locale?: string
+	/** The messages that replace those of the locale, indexed by their key. */
+	messages?: Messages
+	/** The specification of the optional parameters. */
+	options?: readonly Option[]
+	/** The specification of the positional parameters. */
+	parameters?: readonly Parameter[]
+	/** `true` to expand the arguments of the form '@path' into the arguments in the response file at the path, or the maximum depth of nested response files. */
+	responseFiles?: boolean | number
+	/** A value indicating whether to add the options '-h, --help' and '-V, --version', where the latter requires a version. */
+	standardOptions?: boolean
+	/** A value indicating whether the options end at the first positional parameter. */
+	stopAtPositional?: boolean
+	/** The syntax of the options, which is 'gnu' by default. */
+	syntax?: Syntax
+	/** `true` to suggest similar options when an option is not recognized, or the maximum edit distance of the suggestions. */
+	suggestions?: boolean | number
+	/** How to handle an unrecognized option, which is 'error' by default. */
+	unknown?: 'error' | 'passthrough' | 'positional'
+	/** The configuration of the usage, or the usage specification. */
+	usage?: string | UsageSettings
+	/** The version of the calling program. */
+	version?: string
+	/** `true` to enable word wrap, or the width at which to wrap. */
+	wrap?: boolean | number
+}
+
+/**
+ * The syntax of the options.
+ */
+export type Syntax = 'gnu' | 'plus' | 'single-dash' | 'windows'
+
+/**
+ * The configuration of the usage.
+ */
+export interface UsageSettings {
+	/** The content that will be displayed after the usage specification. */
+	footer?: string
+	/** The content that will be displayed before the usage specification. */
+	header?: string
+	/** The executable name of the calling program. */
+	program?: string
+	/** A line that contains the usage specification, which is generated by default. */
+	spec?: string
+}
+
+/**
+ * The specification of an optional parameter.
+ */
+export interface Option {
+	/** The name(s) by which the option will be indexed. */
+	name?: string | readonly string[]
+	/** The short form(s) by which the option can be specified on the command line. */
+	short?: string | readonly string[]
+	/** The long form(s) by which the option can be specified on the command line. */
+	long?: string | readonly string[]
+	/** A description that will be displayed in the usage documentation, or the descriptions indexed by their locale. */
+	description?: Text
+	/** A value indicating whether the option expects an argument, or the name of the argument. */
+	argument?: boolean | string
+	/** A value indicating whether the argument is optional. */
+	optional?: boolean
+	/** A value indicating whether the option must be specified. */
+	required?: boolean
+	/** A value indicating whether the long forms of the option can be negated by the prefix 'no-'. */
+	negatable?: boolean
+	/** The type of the argument, or a function that parses the argument. */
+	type?: Type
+	/** The permitted values of the argument when the type is 'enum'. */
+	choices?: readonly string[]
+	/** A function that validates the value of the argument. */
+	validate?: Validator
+	/** The key(s) of the options that cannot be specified together with this option. */
+	conflicts?: string | readonly string[]
+	/** The key(s) of the options that must be specified together with this option. */
+	requires?: string | readonly string[]
+	/** The key(s) of the options that are implicitly specified by this option, which must not expect an argument. */
+	implies?: string | readonly string[]
+	/** The environment variable from which to read the value of this option when it is not specified. */
+	env?: string
+	/** The value of this option when it is not specified. */
+	default?: unknown
+	/** The accumulation mode when this option is specified more than once, which is 'last' by default. */
+	multiple?: 'array' | 'count' | 'error' | 'first' | 'last'
+	/** How to complete the argument in a shell. */
+	complete?: 'directory' | 'file' | readonly string[] | Completer
+	/** A function that will be called when this option is parsed. */
+	callback?: Callback
+	/** How {@link getoptInteractive} prompts for the value of this option when it is not specified, or `true` to infer the kind from the option. */
+	prompt?: boolean | 'choice' | 'confirm' | 'password' | 'text'
+}
+
+/**
+ * A group of related options, which are displayed together in the usage documentation.
+ */
+export interface Group {
+	/** The key(s) of the options in the group. */
+	options: string | readonly string[]
+	/** The heading under which the options will be displayed in the usage documentation. */
+	title?: string
+	/** A value indicating whether at most one of the options can be specified. */
+	exclusive?: boolean
+	/** A value indicating whether at least one of the options must be specified. */
+	required?: boolean
+}
+
+/**
+ * The specification of a positional parameter.
+ */
+export interface Parameter {
+	/** The name by which the parameter will be indexed. */
+	name: string
+	/** A description that will be displayed in the usage documentation, or the descriptions indexed by their locale. */
+	description?: Text
+	/** A value indicating whether the parameter is optional. */
+	optional?: boolean
+	/** A value indicating whether the parameter accepts any number of arguments, which is only permitted for the last parameter. */
+	variadic?: boolean
+	/** The type of the parameter, as in {@link Option}. */
+	type?: Type
+	/** The permitted values of the parameter when the type is 'enum'. */
+	choices?: readonly string[]
+	/** A function that validates the value of the parameter. */
+	validate?: Validator
+}
+
+/**
+ * The specification of a command, which is selected by the first positional parameter.
+ */
+export interface Command {
+	/** The name(s) by which the command can be specified on the command line. */
+	name: string | readonly string[]
+	/** A description that will be displayed in the usage documentation, or the descriptions indexed by their locale. */
+	description?: Text
+	/** A function that will be called after parsing. */
+	callback?: ResultsCallback
+	/** The specification of the subcommands. */
+	commands?: readonly Command[]
+	/** The groups of related options. */
+	groups?: readonly Group[]
+	/** The specification of the optional parameters. */
+	options?: readonly Option[]
+	/** The specification of the positional parameters. */
+	parameters?: readonly Parameter[]
+	/** The configuration of the usage, as in {@link Settings}. */
+	usage?: string | UsageSettings
+}
+
+/**
+ * A text, or its translations indexed by their locale, such as {en: 'Be verbose.', fr: 'Être bavard.'}.
+ */
+export type Text = string | Readonly<Record<string, string>>
+
+/**
+ * The key of a message of the catalogs.
+ */
+export type MessageKey =
+	| 'ambiguousOption' | 'argumentPlaceholder' | 'asynchronousArgument' | 'atLeastOneRequired' | 'choicePrompt' | 'commandPlaceholder' | 'commands'
+	| 'configFileUnreadable' | 'configTarget' | 'confirmPrompt' | 'conflictingOption' | 'defaultNote' | 'envNote' | 'envTarget' | 'exactlyOneRequired'
+	| 'exclusiveOptions' | 'expectedBoolean' | 'expectedChoice' | 'expectedInteger' | 'expectedJson' | 'expectedNumber'
+	| 'heading' | 'help' | 'invalidAnswer' | 'invalidArgument' | 'invalidHiddenArgument' | 'manDescription' | 'manName'
+	| 'manNotes' | 'manSynopsis' | 'missingArgument' | 'missingGroup' | 'missingOption' | 'missingParameter'
+	| 'mutuallyExclusive' | 'no' | 'notNegatable' | 'optionPlaceholder' | 'optionTarget' | 'options' | 'parameterPlaceholder'
+	| 'parameterTarget' | 'parameters' | 'rejected' | 'repeatedOption' | 'requiredOption' | 'responseFileCycle'
+	| 'responseFileDepth' | 'responseFileInvalid' | 'responseFileUnreadable' | 'suggestion' | 'suggestions' | 'textPrompt'
+	| 'unexpectedArgument' | 'unexpectedParameter' | 'unknownCommand' | 'unknownOption' | 'unterminatedDoubleQuote'
+	| 'unterminatedSingleQuote' | 'usage' | 'version' | 'yes'
+
+/**
+ * The messages that replace those of the locale, each being a string with placeholders of the form '{name}' or a
+ * function that formats the values of the placeholders.
+ */
+export type Messages = {readonly [K in MessageKey]?: string | ((values: Record<string, string | number>) => string)}
+
+/**
+ * The type of an argument, which is the name of a built-in type or a function that parses the argument.
+ */
+export type Type = 'boolean' | 'enum' | 'integer' | 'json' | 'number' | Parser
+
+/**
+ * A function that converts an argument to its value.
+ * It may return a promise when the arguments are parsed by {@link getoptAsync} or {@link parseAsync}.
+ */
+export type Parser<T = unknown> = (value: string, spec: Option | Parameter) => T
+
+/**
+ * A function that validates the value of an argument after it is converted to its type.
+ * It may return a promise when the arguments are parsed by {@link getoptAsync} or {@link parseAsync}.
+ */
+export type Validator = (value: any, spec: Option | Parameter) => boolean | undefined | void | Promise<boolean | undefined | void>
+
+/**
+ * A function that generates the candidates to complete the argument of an option in a shell.
+ */
+export type Completer = (partial: string, option: Option) => Iterable<string>
+
+/**
+ * A function that will be called when a command-line argument is parsed.
+ */
+export type Callback = (result: Result, args: string[], settings: Settings) => unknown
+
+/**
+ * A function that will be called after parsing.
+ */
+export type ResultsCallback = (results: Results, args: string[], settings: Settings) => unknown
+
+/**
+ * A function that will be called when an error occurs.
+ */
+export type ErrorCallback = (error: ParseError | Error) => unknown
+
+/**
+ * The location in a response file from which a command-line argument was read.
+ */
+export interface Origin {
+	/** The path to the response file. */
+	file: string
+	/** The line of the response file on which the command-line argument begins. */
+	line: number
+}
+
+/**
+ * A parsed result.
+ */
+export interface Result {
+	/** The parameter that was generated. */
+	parameter: ParsedOption | ParsedParameter | ParsedCommand | ParsedUnknown | ParsedTerminator
+	/** The index of the command-line argument that was parsed to generate the parameter. */
+	index: number
+	/** The index of the first character of the portion of the command-line argument that was parsed to generate the parameter. */
+	subIndex: number
+	/** The length of the portion of the command-line argument that was parsed to generate the parameter. */
+	subLength: number
+	/** The form of the option as it is defined in its specification, if the parameter is an option. */
+	form?: string
+	/** The index of the command-line argument that contains the argument of the option, if any. */
+	valueIndex?: number
+	/** The index of the first character of the argument of the option, if any. */
+	valueSubIndex?: number
+	/** The length of the argument of the option, if any. */
+	valueSubLength?: number
+	/** The response file and line from which the command-line argument was read, if any. */
+	origin?: Origin
+	/** The configuration of the command that was active when the parameter was parsed. */
+	settings: Settings
+}
+
+/**
+ * The sanitized results, whose options and positional parameters are typed according to the settings.
+ */
+export interface Results<S extends Settings = Settings> {
+	/** The optional and positional parameters in order of appearance. */
+	sequence: Array<ParsedOption | ParsedParameter | ParsedCommand | ParsedUnknown | ParsedTerminator>
+	/** The names of the commands that were matched, from outermost to innermost. */
+	commands: string[]
+	/** The optional parameters indexed by their name, short forms, and long forms. */
+	options: ResultOptions<S>
+	/** The positional parameters indexed by their position, and by their name if they are specified. */
+	parameters: ParsedParameter[] & ResultParameters<S>
+	/** The unrecognized options when they are not rejected. */
+	unknown: Array<{value: string, index: number, subIndex: number, subLength: number}>
+	/** The index of the '--' that marks the end of the options, if any. */
+	terminator: number | undefined
+	/** The values of the options of the parser and the matched commands, indexed by their primary name, where a flag that is not specified is `false` and a counter that is not specified is 0. */
+	values: ResultValues<S>
+	/** The values of the positional parameters. */
+	rest: unknown[]
+	/** The command-line arguments to which the indexes of the results refer, which are expanded from the response files, if any. */
+	args: string[]
+}
+
+/**
+ * An optional parameter that was parsed from the command-line arguments.
+ */
+export interface ParsedOption<O extends Option = Option> {
+	/** The normalized specification of the parameter. */
+	option: Option
+	/** The value(s) that were assigned to the parameter. */
+	value: Option extends O ? any : OptionValue<O>
+	/** The source of the value(s). */
+	source: 'cli' | 'config' | 'default' | 'env' | 'implied' | 'prompt'
+}
+
+/**
+ * A positional parameter that was parsed from the command-line arguments.
+ */
+export interface ParsedParameter<P extends Parameter = Parameter> {
+	/** The position of the parameter. */
+	position: number
+	/** The content of the parameter. */
+	value: Parameter extends P ? any : ArgumentValue<P>
+	/** The normalized specification of the parameter, if it is specified. */
+	parameter?: Parameter
+	/** `true` if the parameter is an unrecognized option. */
+	unknown?: boolean
+}
+
+/**
+ * An unrecognized option that was passed through from the command-line arguments.
+ */
+export interface ParsedUnknown {
+	/** The unrecognized option, which may be the remainder of a sequence of short options. */
+	value: string
+	/** Always `true`. */
+	unknown: true
+}
+
+/**
+ * The '--' that marks the end of the options.
+ */
+export interface ParsedTerminator {
+	/** Always '--'. */
+	value: '--'
+	/** Always `true`. */
+	terminator: true
+}
+
+/**
+ * A command that was parsed from the command-line arguments.
+ */
+export interface ParsedCommand {
+	/** The normalized specification of the command. */
+	command: Command
+	/** The name by which the command was specified. */
+	value: string
+}
+
+/**
+ * The content of the usage documentation, which is rendered in a particular format.
+ */
+export interface UsageDocument {
+	/** The executable name of the calling program, followed by the names of the commands. */
+	program: string
+	/** The version of the calling program. */
+	version?: string
+	/** The content that will be displayed before the usage specification. */
+	header?: string
+	/** The usage specification. */
+	spec: string
+	/** The sections that describe the options, positional parameters, and commands. */
+	sections: Array<{title: string, note?: string, rows: Array<{spec: string, description: string}>}>
+	/** The content that will be displayed after the usage specification. */
+	footer?: string
+}
+
+/**
+ * The options of {@link formatUsage}.
+ */
+export interface FormatUsageOptions {
+	/** The format, which is 'plain' by default, or a function that renders the usage documentation with the normalized settings. */
+	format?: 'ansi' | 'man' | 'markdown' | 'plain' | ((document: UsageDocument, settings: Settings) => string)
+}
+
+/**
+ * The options of {@link usage} and {@link version}.
+ */
+export interface DisplayOptions {
+	/** The stream to which to write, which is the standard output by default. */
+	stream?: {write(text: string): unknown}
+	/** A value indicating whether to exit after writing, which is `true` by default. */
+	exit?: boolean
+	/** The exit code, which is 0 by default. */
+	exitCode?: number
+}
+
+// The forms of an option, which are a string or an array of strings.
+type Forms<T> = T extends string ? T : T extends readonly (infer U extends string)[] ? U : never
+
+// The keys by which an option is indexed in the results, which are every string when the option is not a literal.
+type OptionKeys<O> = O extends Option
+	? Option extends O
+		? string
+		: (O extends {name: infer T} ? Forms<T> : never)
+			| (O extends {short: infer T} ? Forms<T> : never)
+			| (O extends {long: infer T} ? Forms<T> : never)
+	: never
+
+// The value of the argument of an option or a positional parameter, according to its type.
+type ArgumentValue<T> =
+	T extends {type: 'integer' | 'number'} ? number :
+	T extends {type: 'boolean'} ? boolean :
+	T extends {type: 'enum', choices: readonly (infer C)[]} ? C :
+	T extends {type: 'json'} ? unknown :
+	T extends {type: (...args: any[]) => infer R} ? Awaited<R> :
+	string
+
+// The value of an option, according to whether it expects an argument and its accumulation mode.
+type OptionValue<O> =
+	O extends {multiple: 'count'} ? number :
+	O extends {argument: true | string}
+		? O extends {multiple: 'array'}
+			? Array<O extends {optional: true} ? ArgumentValue<O> | undefined : ArgumentValue<O>>
+			: O extends {optional: true} ? ArgumentValue<O> | undefined : ArgumentValue<O>
+		: O extends {multiple: 'array'} ? boolean[] : boolean
+
+// A value indicating whether an option is always present in the results, which is when it is required or has a default.
+type IsPresent<O> = O extends {required: true} ? true : O extends {default: unknown} ? true : false
+
+// The options of the configuration of the parser or a command.
+type OptionsOf<S> = S extends {options: readonly (infer O extends Option)[]} ? O : never
+
+// The options of the commands of the configuration of the parser or a command, at any depth.
+type CommandOptionsOf<S> = S extends {commands: readonly (infer C)[]} ? OptionsOf<C> | CommandOptionsOf<C> : never
+
+// The options in the results, where only the options of the parser that are required or have a default are present.
+type ResultOptions<S> = Settings extends S
+	? {[key: string]: ParsedOption | undefined}
+	: {[O in OptionsOf<S> as IsPresent<O> extends true ? OptionKeys<O> : never]: ParsedOption<O>}
+		& {[O in OptionsOf<S> as IsPresent<O> extends true ? never : OptionKeys<O>]?: ParsedOption<O>}
+		& {[O in CommandOptionsOf<S> as OptionKeys<O>]?: ParsedOption<O>}
+
+// The first of the forms of an option.
+type First<T> = T extends string ? T : T extends readonly [infer U extends string, ...unknown[]] ? U : never
+
+// Converts a long form to camel case.
+type CamelCase<T> = T extends `${infer H}-${infer R}` ? R extends '' ? T : CamelCase<`${H}${Capitalize<R>}`> : T
+
+// The primary name of an option, which is its first name, or its first long form in camel case, or its first short form.
+type PrimaryName<O> = O extends Option
+	? Option extends O
+		? string
+		: O extends {name: infer T} ? First<T>
+		: O extends {long: infer T} ? CamelCase<First<T>>
+		: O extends {short: infer T} ? First<T>
+		: never
+	: never
+
+// The plain value of an option that expects an argument, where an optional argument that is omitted is true.
+type PlainArgumentValue<O> =
+	O extends {optional: true}
+		? O extends {multiple: 'array'} ? Array<ArgumentValue<O> | true> : ArgumentValue<O> | true
+		: OptionValue<O>
+
+// The plain value of an option, where a flag that is not specified is false and a counter that is not specified is 0.
+type PlainValue<O> =
+	O extends {multiple: 'count'} ? number :
+	O extends {argument: true | string}
+		? IsPresent<O> extends true ? PlainArgumentValue<O> : PlainArgumentValue<O> | undefined
+		: OptionValue<O> | false
+
+// The plain values of the options, including the standard options, where the options of the commands may be absent.
+type ResultValues<S> = Settings extends S
+	? {[name: string]: any}
+	: {[O in OptionsOf<S> as PrimaryName<O>]: PlainValue<O>}
+		& {[O in CommandOptionsOf<S> as PrimaryName<O>]?: PlainValue<O>}
+		& (S extends {standardOptions: true} ? {help: boolean} & (S extends {version: string} ? {version: boolean} : {}) : {})
+
+// The positional parameters of the configuration of the parser.
+type ParametersOf<S> = S extends {parameters: readonly (infer P extends Parameter)[]} ? P : never
+
+// The name of a positional parameter.
+type ParameterName<P> = P extends {name: infer N extends string} ? N : never
+
+// The positional parameters in the results indexed by their name, where the variadic parameter is an array.
+type ResultParameters<S> = Settings extends S
+	? {[name: string]: unknown}
+	: {[P in ParametersOf<S> as P extends {optional: true} | {variadic: true} ? never : ParameterName<P>]: ParsedParameter<P>}
+		& {[P in ParametersOf<S> as P extends {variadic: true} ? never : P extends {optional: true} ? ParameterName<P> : never]?: ParsedParameter<P>}
+		& {[P in ParametersOf<S> as P extends {variadic: true} ? ParameterName<P> : never]?: ParsedParameter<P>[]}
+
+/**
+ * Parses the options from the command-line arguments and sanitizes the results.
+ * @throws {ArgumentError} Thrown if any of the options are invalid.
+ * @throws {ParseError} Thrown if the command-line arguments cannot be parsed.
+ * @throws {CompletionRequest} Thrown if the arguments are a request from a completion script and 'settings.completion' is enabled.
+ */
+declare function getopt<const S extends Settings = Settings>(args: readonly string[], settings?: S): Results<S>
+
+// The functions and classes that are also attached to getopt.
+type Statics = {
+	ArgumentError: typeof ArgumentError
+	CompletionRequest: typeof CompletionRequest
+	ParseError: typeof ParseError
+	complete: typeof complete
+	completion: typeof completion
+	defineOptions: typeof defineOptions
+	formatArgContext: typeof formatArgContext
+	formatUsage: typeof formatUsage
+	split: typeof split
+	stringify: typeof stringify
+	usage: typeof usage
+	validate: typeof validate
+	version: typeof version
+}
+
+declare namespace getopt {
+	const ArgumentError: Statics['ArgumentError']
+	const CompletionRequest: Statics['CompletionRequest']
+	const ParseError: Statics['ParseError']
+	const complete: Statics['complete']
+	const completion: Statics['completion']
+	const defineOptions: Statics['defineOptions']
+	const formatArgContext: Statics['formatArgContext']
+	const formatUsage: Statics['formatUsage']
+	const split: Statics['split']
+	const stringify: Statics['stringify']
+	const usage: Statics['usage']
+	const validate: Statics['validate']
+	const version: Statics['version']
+}
+
+export default getopt
+
+/**
+ * Parses the options from the command-line arguments and sanitizes the results, awaiting the callbacks, parsers, and
+ * validators that return a promise in the order of the arguments.
+ * @throws {ArgumentError} Thrown if any of the options are invalid.
+ * @throws {ParseError} Thrown if the command-line arguments cannot be parsed.
+ * @throws {CompletionRequest} Thrown if the arguments are a request from a completion script and 'settings.completion' is enabled.
+ */
+export function getoptAsync<const S extends Settings = Settings>(args: readonly string[], settings?: S): Promise<Results<S>>
+
+/**
+ * The streams of the prompts of {@link getoptInteractive}.
+ */
+export interface PromptStreams {
+	/** The stream from which to read the answers, which is the standard input by default. */
+	input?: {isTTY?: boolean, on(event: string, listener: (...args: any[]) => void): unknown}
+	/** The stream to which to write the prompts, which is the standard error by default. */
+	output?: {write(text: string): unknown}
+}
+
+/**
+ * Parses the options from the command-line arguments and sanitizes the results, as {@link getoptAsync} does, and
+ * prompts for the values of the options that have a prompt but were not specified, if the input is a terminal.
+ * @throws {ArgumentError} Thrown if any of the options are invalid.
+ * @throws {ParseError} Thrown if the command-line arguments cannot be parsed, or if a required option was neither specified nor answered.
+ * @throws {CompletionRequest} Thrown if the arguments are a request from a completion script and 'settings.completion' is enabled.
+ */
+export function getoptInteractive<const S extends Settings = Settings>(args: readonly string[], settings?: S, streams?: PromptStreams): Promise<Results<S>>
+
+/**
+ * Parses the options from the command-line arguments.
+ * @throws {ArgumentError} Thrown if any of the options are invalid.
+ * @throws {ParseError} Thrown if the command-line arguments cannot be parsed.
+ */
+export function parse(args: readonly string[], settings?: Settings): Generator<Result, void, undefined>
+
+/**
+ * Parses the options from the command-line arguments, awaiting the callbacks, parsers, and validators that return a
+ * promise in the order of the arguments.
+ * @throws {ArgumentError} Thrown if any of the options are invalid.
+ * @throws {ParseError} Thrown if the command-line arguments cannot be parsed.
+ */
+export function parseAsync(args: readonly string[], settings?: Settings): AsyncGenerator<Result, void, undefined>
+
+/**
+ * Defines the configuration of the parser, which is validated and returned unchanged, so that the types of the results
+ * of {@link getopt} are inferred from the literal types of the specification.
+ * @throws {ArgumentError} Thrown if any of the options are invalid.
+ */
+export function defineOptions<const S extends Settings>(settings: S): S
+
+/**
+ * Generates a completion script for a shell.
+ * @throws {ArgumentError} Thrown if any of the options are invalid, if the shell is not supported, or if the parser or a command does not use the GNU syntax.
+ */
+export function completion(settings: Settings, shell: 'bash' | 'fish' | 'zsh'): string
+
+/**
+ * Generates the candidates to complete the argument of an option, as requested by a completion script.
+ * @throws {ArgumentError} Thrown if any of the options are invalid, or if the parser or a command does not use the GNU syntax.
+ */
+export function complete(args: readonly string[], settings: Settings): string[]
+
+/**
+ * Validates the configuration of the parser and reports every problem, which is empty if the configuration is valid.
+ */
+export function validate(settings: Settings): string[]
+
+/**
+ * Splits a command line into command-line arguments according to the quoting rules of a POSIX shell.
+ * @throws {ArgumentError} Thrown if the command line contains an unterminated quote.
+ */
+export function split(commandLine: string): string[]
+
+/**
+ * Converts the results back to a command line, which is quoted for a POSIX shell.
+ * @throws {ArgumentError} Thrown if any of the options are invalid, or if the results are invalid.
+ */
+export function stringify(results: Results<any>, settings?: Settings): string
+
+/**
+ * Formats the usage information.
+ * @throws {ArgumentError} Thrown if any of the options are invalid, or if the format is not supported.
+ */
+export function formatUsage(settings?: Settings, options?: FormatUsageOptions): string
+
+/**
+ * Displays the usage information and exits.
+ * This function can also be used as the callback of an option, in which case it uses the default options.
+ */
+export function usage(settings?: Settings, options?: FormatUsageOptions & DisplayOptions): void
+export function usage(result: Result, args: string[], settings: Settings): void
+
+/**
+ * Displays the version information and exits.
+ * This function can also be used as the callback of an option, in which case it uses the default options.
+ * @throws {ArgumentError} Thrown if any of the options are invalid, or if the version is not defined.
+ */
+export function version(settings?: Settings, options?: DisplayOptions): void
+export function version(result: Result, args: string[], settings: Settings): void
+
+/**
+ * Renders the command-line arguments with a caret under a portion of one of them.
+ */
+export function formatArgContext(args: readonly string[], location: {index?: number, subIndex?: number, subLength?: number}): string
+
+/**
+ * An error that may occur when validating the arguments of a function.
+ */
+export class ArgumentError extends Error {
+	constructor(message: string)
+}
+
+/**
+ * A request from a completion script for the candidates of an argument, which interrupts parsing when completion is
+ * enabled in the settings.
+ */
+export class CompletionRequest extends Error {
+	constructor(candidates: string[])
+	candidates: string[]
+}
+
+/**
+ * The details of a {@link ParseError}.
+ */
+export interface ParseErrorDetails {
+	/** A code that identifies the kind of error. */
+	code: string
+	/** The index of the command-line argument that caused the error, if any. */
+	index?: number
+	/** The command-line argument that caused the error, if any. */
+	token?: string
+	/** The index of the character in the command-line argument where the error begins. */
+	subIndex?: number
+	/** The number of characters in the command-line argument that caused the error. */
+	subLength?: number
+	/** The specification of the option that caused the error. */
+	option?: Option
+	/** The specification of the positional parameter that caused the error. */
+	parameter?: Parameter
+	/** The options or commands that are similar to the unrecognized one. */
+	suggestions?: string[]
+	/** The response file and line from which the command-line argument was read, if any. */
+	origin?: Origin
+	/** The command-line arguments to which the index refers, which are expanded from the response files, if any. */
+	args?: string[]
+	/** The error that caused this error. */
+	cause?: unknown
+}
+
+/**
+ * An error that may occur when parsing the command-line arguments.
+ */
+export class ParseError extends Error {
+	constructor(message: string, details: ParseErrorDetails)
+	code: string
+	index: number | undefined
+	subIndex: number | undefined
+	subLength: number | undefined
+	token: string | undefined
+	option: Option | undefined
+	parameter: Parameter | undefined
+	suggestions: string[]
+	origin: Origin | undefined
+	args: string[] | undefined
+
+	static readonly UNKNOWN_OPTION: 'UNKNOWN_OPTION'
+	static readonly AMBIGUOUS_OPTION: 'AMBIGUOUS_OPTION'
+	static readonly NOT_NEGATABLE: 'NOT_NEGATABLE'
+	static readonly UNKNOWN_COMMAND: 'UNKNOWN_COMMAND'
+	static readonly MISSING_ARGUMENT: 'MISSING_ARGUMENT'
+	static readonly UNEXPECTED_ARGUMENT: 'UNEXPECTED_ARGUMENT'
+	static readonly INVALID_ARGUMENT: 'INVALID_ARGUMENT'
+	static readonly ASYNCHRONOUS_ARGUMENT: 'ASYNCHRONOUS_ARGUMENT'
+	static readonly MISSING_OPTION: 'MISSING_OPTION'
+	static readonly MISSING_PARAMETER: 'MISSING_PARAMETER'
+	static readonly UNEXPECTED_PARAMETER: 'UNEXPECTED_PARAMETER'
+	static readonly CONFLICTING_OPTIONS: 'CONFLICTING_OPTIONS'
+	static readonly REPEATED_OPTION: 'REPEATED_OPTION'
+	static readonly INVALID_RESPONSE_FILE: 'INVALID_RESPONSE_FILE'
+}
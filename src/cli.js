@@ -0,0 +1,337 @@
+import fs from 'fs'
+import process from 'process'
+import Ajv from 'ajv'
+import getopt, {CompletionRequest, ParseError, completion, usage, validate, version} from './getopt.js'
+import {shells} from './completion.js'
+import primaryName from './primary-name.js'
+import quote from './quote.js'
+import readConfig from './read-config.js'
+import standardOptions from './standard-options.js'
+import './shims/string.js' // String.isString
+
+/**
+ * The exit codes of the command-line interface.
+ * @constant {object.<string, number>}
+ * @property {number} success       The arguments were parsed.
+ * @property {number} parseError    The arguments could not be parsed.
+ * @property {number} settingsError The settings file or the arguments of the command-line interface are invalid.
+ * @property {number} usageRequest  The usage or version information, or the candidates of a completion, were requested.
+ */
+export const exitCodes = {
+	success: 0,
+	parseError: 1,
+	settingsError: 2,
+	usageRequest: 3
+}
+
+/**
+ * The writers of the results, indexed by the name of their format.
+ * @constant {object.<string, function>}
+ */
+const _writers = {
+	compact: _compact,
+	json: _json,
+	nul: _nul,
+	shell: _shell
+}
+
+/**
+ * The formats in which the results can be written.
+ * @constant {array.<string>}
+ */
+export const formats = Object.keys(_writers)
+
+/**
+ * The configuration of the parser for the arguments of the command-line interface.
+ * @constant {getopt~Settings}
+ */
+const _settings = {
+	stopAtPositional: true,
+	usage: {
+		program: 'getopt',
+		header: 'Parses the arguments of a shell script according to the settings in a JSON or YAML file.\n\n',
+		spec: '[option]... <settings-file> [argument]...',
+		footer: '\nExit status: 0 if the arguments were parsed, 1 if they could not be parsed, 2 if the settings are invalid, or 3 if the usage or version information or the candidates of a completion were requested.\n'
+	},
+	options: [
+		{short: 'f', long: 'format', argument: true, type: 'enum', choices: formats, default: 'shell', description: 'The format of the results.'},
+		{short: 'p', long: 'prefix', argument: 'prefix', description: 'The prefix of the names of the shell variables.'},
+		{long: 'completion', argument: 'shell', type: 'enum', choices: shells, description: 'Write a completion script for the settings and exit.'},
+		{long: 'program', argument: 'name', description: 'The name of the program in the completion script, which is the program of the usage in the settings by default.'},
+		{short: 'h', long: 'help', description: 'Display this usage information and exit.'}
+	],
+	parameters: [
+		{name: 'settings-file', optional: true},
+		{name: 'argument', optional: true, variadic: true}
+	]
+}
+
+/**
+ * The JSON Schema of the settings file.
+ * @constant {object}
+ */
+const _schema = JSON.parse(fs.readFileSync(new URL('../schema/settings.schema.json', import.meta.url), 'utf8'))
+
+/**
+ * A request for the usage or version information, which interrupts parsing.
+ */
+class UsageRequest extends Error {
+	/**
+	 * Initializes a new instance.
+	 * @param {string} text The usage or version information.
+	 */
+	constructor(text) {
+		super('The usage or version information was requested.')
+		this.name = this.constructor.name
+		this.text = text
+	}
+}
+
+/**
+ * Runs the command-line interface, which parses the arguments of a shell script according to the settings in a JSON
+ * or YAML file and writes the results.
+ * @param {array.<string>}  args             The arguments of the command-line interface.
+ * @param {object}          [streams]        The streams to which to write.
+ * @param {stream.Writable} [streams.stdout] The stream to which to write the results, which is the standard output by default.
+ * @param {stream.Writable} [streams.stderr] The stream to which to write the errors, which is the standard error by default.
+ * @returns {number} The exit code, which is one of {@link exitCodes}.
+ */
+export default function main(args, streams) {
+	let stdout = streams?.stdout ?? process.stdout
+	let stderr = streams?.stderr ?? process.stderr
+
+	// Parse the arguments of the command-line interface.
+	let options
+	try {
+		options = getopt(args, _settings)
+	}
+	catch (e) {
+		stderr.write(e.message + '\n')
+		return exitCodes.settingsError
+	}
+	let format = options.options.format.value
+	let file = options.parameters[0]?.value
+
+	/**
+	 * Writes an error and returns its exit code, which a shell script also returns if it evaluates the results.
+	 * @param {string} message  A description of the error.
+	 * @param {number} exitCode The exit code.
+	 * @returns {number} The exit code.
+	 */
+	function fail(message, exitCode) {
+		stderr.write(message + '\n')
+		if (format === 'shell')
+			stdout.write('exit ' + exitCode + '\n')
+		return exitCode
+	}
+
+	if (options.options.help) {
+		usage(_settings, {stream: stdout, exit: false})
+		return exitCodes.success
+	}
+	if (file === undefined)
+		return fail(getopt.formatUsage(_settings).trimEnd(), exitCodes.settingsError)
+
+	// Read and validate the settings.
+	let settings
+	try {
+		settings = readConfig(file)
+	}
+	catch (e) {
+		return fail(e.message + ' ' + e.cause.message, exitCodes.settingsError)
+	}
+	let ajv = new Ajv({allErrors: true})
+	if (!ajv.validate(_schema, settings))
+		return fail(file + ': ' + ajv.errorsText(ajv.errors, {dataVar: 'settings', separator: '\n' + file + ': '}), exitCodes.settingsError)
+	settings = _resolve(settings)
+	let problems = validate(settings)
+	if (problems.length > 0)
+		return fail(problems.map(function(x) { return file + ': ' + x }).join('\n'), exitCodes.settingsError)
+
+	// Accept the completion request after the settings file, as in 'getopt <settings-file> --completion <shell>', unless
+	// the settings define their own '--completion'.
+	let rest = options.parameters.slice(1).map(function(x) { return x.value })
+	let shell = options.options.completion?.value
+	if (shell === undefined && rest.length === 2 && rest[0] === '--completion'
+		&& !settings.options.some(function(option) { return [].concat(option.long ?? []).includes('completion') }))
+		shell = rest[1]
+
+	// Write the completion script, whose program must be named since it is not the command-line interface.
+	if (shell !== undefined) {
+		let program = options.options.program?.value ?? settings.usage?.program
+		if (program == null)
+			return fail(file + ': settings.usage.program or --program is required to write a completion script', exitCodes.settingsError)
+		let usageSettings = String.isString(settings.usage) ? {spec: settings.usage} : settings.usage
+		try {
+			stdout.write(completion(Object.assign({}, settings, {usage: Object.assign({}, usageSettings, {program: program})}), shell))
+		}
+		catch (e) {
+			return fail(e.message, exitCodes.settingsError)
+		}
+		return exitCodes.success
+	}
+
+	// Parse the arguments of the shell script and write the results.
+	let results
+	try {
+		results = getopt(rest, settings)
+	}
+	catch (e) {
+		if (e instanceof UsageRequest) {
+			stdout.write(format === 'shell'
+				? 'printf \'%s\' ' + quote(e.text) + '\nexit 0\n'
+				: e.text)
+			return exitCodes.usageRequest
+		}
+		if (e instanceof CompletionRequest) {
+			let text = e.candidates.map(function(x) { return x + '\n' }).join('')
+			stdout.write(format === 'shell'
+				? 'printf \'%s\' ' + quote(text) + '\nexit 0\n'
+				: text)
+			return exitCodes.usageRequest
+		}
+		if (e instanceof ParseError)
+			return fail(e.message, exitCodes.parseError)
+		return fail(file + ': ' + e.message, exitCodes.settingsError)
+	}
+
+	stdout.write(_writers[format](results, options.options.prefix?.value ?? ''))
+	return exitCodes.success
+}
+
+/**
+ * Resolves the references to the built-in callbacks in the configuration of the parser or a command, and adds the
+ * standard options, so that the usage and version requests are reported to the command-line interface rather than
+ * written to the standard output.
+ * @param {getopt~Settings|getopt~Command} settings    The configuration of the parser or a command, as read from the settings file.
+ * @param {object}                         [inherited] The settings that are inherited from the parent, if resolving a command.
+ * @returns {getopt~Settings|getopt~Command} The resolved configuration.
+ */
+function _resolve(settings, inherited) {
+	inherited = {
+		locale: settings.locale ?? inherited?.locale,
+		messages: settings.messages ?? inherited?.messages,
+		standardOptions: settings.standardOptions ?? inherited?.standardOptions,
+		syntax: settings.syntax ?? inherited?.syntax,
+		version: settings.version ?? inherited?.version
+	}
+
+	let options = (settings.options ?? []).map(function(option) {
+		return option.callback != null
+			? Object.assign({}, option, {callback: _callback(option.callback)})
+			: option
+	})
+	if (inherited.standardOptions)
+		options = options.concat(standardOptions(options, inherited, {usage: _callback('usage'), version: _callback('version')}))
+
+	settings = Object.assign({}, settings, {options: options, standardOptions: false})
+	if (settings.callback != null)
+		settings.callback = _callback(settings.callback)
+	if (settings.commands != null)
+		settings.commands = settings.commands.map(function(command) { return _resolve(command, inherited) })
+	return settings
+}
+
+/**
+ * Creates a callback that reports a request for the usage or version information.
+ * @param {string} name The name of the built-in callback, which is 'usage' or 'version'.
+ * @returns {getopt~Callback} The callback.
+ */
+function _callback(name) {
+	let write = name === 'usage' ? usage : version
+	return function(result, args, settings) {
+		let text = ''
+		write(settings, {stream: {write: function(x) { text += x }}, exit: false})
+		throw new UsageRequest(text)
+	}
+}
+
+/**
+ * Collects the values of the options that were matched by the results, indexed by the primary name of each option, as
+ * in the plain values of the results.
+ * @param {getopt~Results} results The results.
+ * @returns {array.<array>} The keys and values of the options.
+ */
+function _entries(results) {
+	return Array.from(new Set(Object.values(results.options)))
+		.map(function(parsed) {
+			let option = parsed.option
+			return [
+				primaryName(option),
+				parsed.value === undefined ? true : parsed.value
+			]
+		})
+}
+
+/**
+ * Converts a value to text.
+ * @param {*} value The value.
+ * @returns {string} The text.
+ */
+function _text(value) {
+	if (String.isString(value))
+		return value
+	if (typeof value === 'object' && value !== null)
+		return JSON.stringify(value)
+	return String(value)
+}
+
+/**
+ * Writes the results as assignments of shell variables, followed by a command that sets the positional parameters of
+ * the shell script, so that the shell script can evaluate them.
+ * The values of an option that is specified more than once are separated by newlines.
+ * @param {getopt~Results} results The results.
+ * @param {string}         prefix  The prefix of the names of the shell variables.
+ * @returns {string} The shell commands.
+ */
+function _shell(results, prefix) {
+	let lines = _entries(results).map(function([key, value]) {
+		return prefix + key.replace(/^(?=\d)|\W/g, '_') + '='
+			+ quote(Array.isArray(value) ? value.map(_text).join('\n') : _text(value))
+	})
+	if (results.commands.length > 0)
+		lines.push(prefix + 'commands=' + quote(results.commands.join(' ')))
+	lines.push(['set', '--'].concat(results.parameters.map(function(x) { return quote(_text(x.value)) })).join(' '))
+	return lines.join('\n') + '\n'
+}
+
+/**
+ * Writes the results as JSON.
+ * @param {getopt~Results} results The results.
+ * @returns {string} The JSON.
+ */
+function _json(results) {
+	return JSON.stringify(results) + '\n'
+}
+
+/**
+ * Writes the plain values of the results as JSON, which are the names of the commands, the values of the options
+ * indexed by their primary name, and the values of the positional parameters.
+ * @param {getopt~Results} results The results.
+ * @returns {string} The JSON.
+ */
+function _compact(results) {
+	return JSON.stringify({
+		commands: results.commands,
+		values: results.values,
+		rest: results.rest
+	}) + '\n'
+}
+
+/**
+ * Writes the results as records that are terminated by NUL characters, which are 'key=value' for each value of an
+ * option, 'commands=name' for each command, and '--', followed by the positional parameters.
+ * @param {getopt~Results} results The results.
+ * @param {string}         prefix  The prefix of the keys of the options.
+ * @returns {string} The records.
+ */
+function _nul(results, prefix) {
+	return _entries(results)
+		.flatMap(function([key, value]) {
+			return [].concat(value).map(function(x) { return prefix + key + '=' + _text(x) })
+		})
+		.concat(results.commands.map(function(x) { return prefix + 'commands=' + x }))
+		.concat(['--'], results.parameters.map(function(x) { return _text(x.value) }))
+		.map(function(x) { return x + '\0' })
+		.join('')
+}
@@ -0,0 +1,15 @@
+/**
+ * A request from a completion script for the candidates of an argument, which interrupts parsing when completion is
+ * enabled in the settings.
+ */
+export default class CompletionRequest extends Error {
+	/**
+	 * Initializes a new instance.
+	 * @param {array.<string>} candidates The candidates of the argument.
+	 */
+	constructor(candidates) {
+		super('The candidates of an argument were requested by a completion script.')
+		this.name = this.constructor.name
+		this.candidates = candidates
+	}
+}
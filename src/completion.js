@@ -0,0 +1,500 @@
+/**
+ * The argument by which a completion script requests the candidates of a dynamic completion from the program.
+ * @constant {string}
+ * @default
+ */
+export const completeFlag = '--getopt-complete'
+
+/**
+ * The generators of the completion scripts, indexed by the name of their shell.
+ * @constant {object.<string, function>}
+ */
+const _generators = {
+	bash: _bash,
+	fish: _fish,
+	zsh: _zsh
+}
+
+/**
+ * The shells for which a completion script can be generated.
+ * @constant {array.<string>}
+ */
+export const shells = Object.keys(_generators)
+
+/**
+ * Generates a completion script.
+ * @param {getopt~Settings} settings The normalized configuration of the parser.
+ * @param {string}          shell    The shell, which is 'bash', 'fish', or 'zsh'.
+ * @param {string}          program  The executable name of the calling program.
+ * @returns {string} The completion script.
+ */
+export default function generateCompletion(settings, shell, program) {
+	return _generators[shell](_scopes(settings, program), program)
+}
+
+/**
+ * Collects the completions of the parser and its commands.
+ * @param {getopt~Settings} settings The normalized configuration of the parser or a command.
+ * @param {string}          scope    The program name followed by the names of the commands, separated by spaces.
+ * @returns {array.<object>} The completions of each scope.
+ */
+function _scopes(settings, scope) {
+	let options = settings.options
+		.map(function(option) {
+			return {
+				option: option,
+				argument: _argumentCompletion(option),
+				description: option.description
+			}
+		})
+
+	let commands = settings.commands
+		.flatMap(function(command) {
+			return command.name.map(function(name) {
+				return {
+					name: name,
+					description: command.description ?? ''
+				}
+			})
+		})
+
+	return [{
+		scope: scope,
+		options: options,
+		commands: commands
+	}].concat(settings.commands
+		.flatMap(function(command) {
+			return command.name.flatMap(function(name) {
+				return _scopes(command, scope + ' ' + name)
+			})
+		}))
+}
+
+/**
+ * Determines how to complete the argument of an option.
+ * @param {getopt~Option} option The normalized specification of the option.
+ * @returns {object|null} The completion of the argument, or @c null if the option doesn't take an argument.
+ */
+function _argumentCompletion(option) {
+	if (!option.argument)
+		return null
+	if (typeof option.complete === 'function')
+		return {kind: 'dynamic'}
+	if (Array.isArray(option.complete))
+		return {kind: 'choices', choices: option.complete}
+	if (option.complete === 'file' || option.complete === 'directory')
+		return {kind: option.complete}
+	if (option.type === 'enum')
+		return {kind: 'choices', choices: option.choices}
+	if (option.type === 'boolean')
+		return {kind: 'choices', choices: ['true', 'false']}
+	return {kind: 'default'}
+}
+
+/**
+ * Lists the forms by which an option can be specified on the command line.
+ * @param {getopt~Option} option The normalized specification of the option.
+ * @returns {array.<string>} The forms of the option.
+ */
+function _forms(option) {
+	return option.short.map(function(x) { return '-' + x })
+		.concat(option.long.map(function(x) { return '--' + x }))
+}
+
+/**
+ * Lists the words that complete the forms of an option, where a long form that requires an argument ends with '='.
+ * The long forms of a negatable option are also listed with the prefix 'no-'.
+ * @param {getopt~Option} option The normalized specification of the option.
+ * @returns {array.<string>} The words.
+ */
+function _words(option) {
+	return option.short.map(function(x) { return '-' + x })
+		.concat(option.long.map(function(x) {
+			return '--' + x + (option.argument && !option.optional ? '=' : '')
+		}))
+		.concat(option.negatable ? option.long.map(function(x) { return '--no-' + x }) : [])
+}
+
+/**
+ * Converts the name of a program to an identifier that can be used in the name of a shell function.
+ * @param {string} program The executable name of the program.
+ * @returns {string} The identifier.
+ */
+function _identifier(program) {
+	return program.replace(/[^A-Za-z0-9_]/g, '_')
+}
+
+/**
+ * Quotes a string for a POSIX shell or zsh.
+ * @param {string} s The string.
+ * @returns {string} The quoted string.
+ */
+function _quote(s) {
+	return '\'' + s.replace(/'/g, '\'\\\'\'') + '\''
+}
+
+/**
+ * Quotes a string for fish.
+ * @param {string} s The string.
+ * @returns {string} The quoted string.
+ */
+function _quoteFish(s) {
+	return '\'' + s.replace(/[\\']/g, '\\$&') + '\''
+}
+
+/**
+ * Generates the part of a bash or zsh script that determines the current command.
+ * @param {array.<object>} scopes The completions of each scope.
+ * @param {string}         words  The name of the array that contains the words of the command line.
+ * @param {string}         first  The index of the first argument in the array.
+ * @param {string}         last   The index of the current word in the array.
+ * @returns {array.<string>} The lines of the script.
+ */
+function _scopeLines(scopes, words, first, last) {
+	let lines = [
+		'\t# Determine the command.',
+		'\tscope=' + _quote(scopes[0].scope)
+	]
+
+	if (scopes.length > 1) {
+		lines.push(
+			'\tfor ((i = ' + first + '; i < ' + last + '; i++)); do',
+			'\t\tcase "$scope ${' + words + '[i]}" in',
+			'\t\t\t' + scopes.slice(1).map(function(x) { return _quote(x.scope) }).join('|') + ')',
+			'\t\t\t\tscope="$scope ${' + words + '[i]}"',
+			'\t\t\t\t;;',
+			'\t\tesac',
+			'\tdone')
+	}
+
+	return lines
+}
+
+/**
+ * Generates a completion script for bash.
+ * @param {array.<object>} scopes  The completions of each scope.
+ * @param {string}         program The executable name of the calling program.
+ * @returns {string} The completion script.
+ */
+function _bash(scopes, program) {
+	let name = '_' + _identifier(program) + '_completion'
+
+	let lines = [
+		'# bash completion for ' + program,
+		'# Source this file, or copy it to the directory of bash-completion.',
+		'',
+		name + '() {',
+		'\tlocal cur prev scope i',
+		'\tcur="${COMP_WORDS[COMP_CWORD]}"',
+		'\tprev="${COMP_WORDS[COMP_CWORD-1]}"',
+		'',
+		'\t# Handle the argument of a long option that is separated by \'=\'.',
+		'\tif [[ "$prev" == "=" ]]; then',
+		'\t\tprev="${COMP_WORDS[COMP_CWORD-2]}"',
+		'\telif [[ "$cur" == "=" ]]; then',
+		'\t\tcur=""',
+		'\tfi',
+		''
+	].concat(_scopeLines(scopes, 'COMP_WORDS', '1', 'COMP_CWORD'))
+
+	// Complete the arguments of the options.
+	let cases = scopes.flatMap(function(scope) {
+		return scope.options
+			.filter(function(x) { return x.argument })
+			.flatMap(function(x) {
+				let pattern = _forms(x.option)
+					.map(function(form) { return _quote(scope.scope + ' ' + form) })
+					.join('|')
+
+				let reply
+				switch (x.argument.kind) {
+					case 'choices':
+						reply = 'COMPREPLY=($(compgen -W ' + _quote(x.argument.choices.join(' ')) + ' -- "$cur"))'
+						break
+					case 'directory':
+						reply = 'compopt -o filenames; COMPREPLY=($(compgen -d -- "$cur"))'
+						break
+					case 'dynamic':
+						reply = 'COMPREPLY=($(compgen -W "$(' + _quote(program) + ' ' + completeFlag
+							+ ' ' + _quote(scope.scope) + ' ' + _quote(_forms(x.option)[0])
+							+ ' "$cur" 2>/dev/null)" -- "$cur"))'
+						break
+					case 'file':
+						reply = 'compopt -o filenames; COMPREPLY=($(compgen -f -- "$cur"))'
+						break
+					default:
+						reply = 'COMPREPLY=()'
+				}
+
+				return [
+					'\t\t' + pattern + ')',
+					'\t\t\t' + reply,
+					'\t\t\treturn',
+					'\t\t\t;;'
+				]
+			})
+	})
+	if (cases.length > 0) {
+		lines.push(
+			'',
+			'\t# Complete the argument of an option.',
+			'\tcase "$scope $prev" in')
+		lines.push(...cases)
+		lines.push('\tesac')
+	}
+
+	// Complete the options and commands.
+	lines.push(
+		'',
+		'\t# Complete an option or a command.',
+		'\tcase "$scope" in')
+	for (let scope of scopes) {
+		lines.push(
+			'\t\t' + _quote(scope.scope) + ')',
+			'\t\t\tif [[ "$cur" == -* ]]; then',
+			'\t\t\t\tCOMPREPLY=($(compgen -W ' + _quote(scope.options.flatMap(function(x) { return _words(x.option) }).join(' ')) + ' -- "$cur"))')
+		if (scope.commands.length > 0) {
+			lines.push(
+				'\t\t\telse',
+				'\t\t\t\tCOMPREPLY=($(compgen -W ' + _quote(scope.commands.map(function(x) { return x.name }).join(' ')) + ' -- "$cur"))')
+		}
+		lines.push(
+			'\t\t\tfi',
+			'\t\t\t;;')
+	}
+	lines.push(
+		'\tesac',
+		'',
+		'\t# Let the user type the argument of a long option after \'=\'.',
+		'\tif [[ "${COMPREPLY[0]}" == *= ]]; then',
+		'\t\tcompopt -o nospace',
+		'\tfi',
+		'}',
+		'',
+		'complete -o default -F ' + name + ' ' + _quote(program),
+		'')
+
+	return lines.join('\n')
+}
+
+/**
+ * Generates a completion script for zsh.
+ * @param {array.<object>} scopes  The completions of each scope.
+ * @param {string}         program The executable name of the calling program.
+ * @returns {string} The completion script.
+ */
+function _zsh(scopes, program) {
+	let name = '_' + _identifier(program)
+
+	/**
+	 * Formats a word and its description for _describe.
+	 * @param {string} word        The word.
+	 * @param {string} description The description.
+	 * @returns {string} The formatted word and description.
+	 */
+	function describe(word, description) {
+		return _quote(word.replace(/[\\:]/g, '\\$&') + (description ? ':' + description : ''))
+	}
+
+	let lines = [
+		'#compdef ' + program,
+		'# zsh completion for ' + program,
+		'# Copy this file to a directory in $fpath as ' + name + ', or source it after compinit.',
+		'',
+		name + '() {',
+		'\tlocal cur prev scope i',
+		'\tcur="${words[CURRENT]}"',
+		'\tprev="${words[CURRENT-1]}"',
+		'',
+		'\t# Handle the argument of a long option that is separated by \'=\'.',
+		'\tif [[ "$cur" == --*=* ]]; then',
+		'\t\tprev="${cur%%=*}"',
+		'\t\tcur="${cur#*=}"',
+		'\t\tcompset -P \'*=\'',
+		'\tfi',
+		''
+	].concat(_scopeLines(scopes, 'words', '2', 'CURRENT'))
+
+	// Complete the arguments of the options.
+	let cases = scopes.flatMap(function(scope) {
+		return scope.options
+			.filter(function(x) { return x.argument })
+			.flatMap(function(x) {
+				let pattern = _forms(x.option)
+					.map(function(form) { return _quote(scope.scope + ' ' + form) })
+					.join('|')
+
+				let reply
+				switch (x.argument.kind) {
+					case 'choices':
+						reply = 'compadd -- ' + x.argument.choices.map(_quote).join(' ')
+						break
+					case 'directory':
+						reply = '_files -/'
+						break
+					case 'dynamic':
+						reply = 'compadd -- ${(f)"$(' + _quote(program) + ' ' + completeFlag
+							+ ' ' + _quote(scope.scope) + ' ' + _quote(_forms(x.option)[0])
+							+ ' "$cur" 2>/dev/null)"}'
+						break
+					case 'file':
+						reply = '_files'
+						break
+					default:
+						reply = '_default'
+				}
+
+				return [
+					'\t\t' + pattern + ')',
+					'\t\t\t' + reply,
+					'\t\t\treturn',
+					'\t\t\t;;'
+				]
+			})
+	})
+	if (cases.length > 0) {
+		lines.push(
+			'',
+			'\t# Complete the argument of an option.',
+			'\tcase "$scope $prev" in')
+		lines.push(...cases)
+		lines.push('\tesac')
+	}
+
+	// Complete the options and commands.
+	lines.push(
+		'',
+		'\t# Complete an option or a command.',
+		'\tlocal -a flags arguments subcommands',
+		'\tcase "$scope" in')
+	for (let scope of scopes) {
+		let flags = scope.options.flatMap(function(x) {
+			return _words(x.option)
+				.filter(function(word) { return !word.endsWith('=') })
+				.map(function(word) { return describe(word, x.description) })
+		})
+		let args = scope.options.flatMap(function(x) {
+			return _words(x.option)
+				.filter(function(word) { return word.endsWith('=') })
+				.map(function(word) { return describe(word, x.description) })
+		})
+		let commands = scope.commands.map(function(x) { return describe(x.name, x.description) })
+
+		lines.push(
+			'\t\t' + _quote(scope.scope) + ')',
+			'\t\t\tflags=(' + flags.join(' ') + ')',
+			'\t\t\targuments=(' + args.join(' ') + ')',
+			'\t\t\tsubcommands=(' + commands.join(' ') + ')',
+			'\t\t\t;;')
+	}
+	lines.push(
+		'\tesac',
+		'',
+		'\tif [[ "$cur" == -* ]]; then',
+		'\t\t_describe -t options \'option\' flags',
+		'\t\t_describe -t options \'option\' arguments -S \'\'',
+		'\telif (( ${#subcommands} > 0 )); then',
+		'\t\t_describe -t commands \'command\' subcommands',
+		'\telse',
+		'\t\t_default',
+		'\tfi',
+		'}',
+		'',
+		'if [[ "${zsh_eval_context[-1]}" == loadautofunc ]]; then',
+		'\t' + name + ' "$@"',
+		'else',
+		'\tcompdef ' + name + ' ' + _quote(program),
+		'fi',
+		'')
+
+	return lines.join('\n')
+}
+
+/**
+ * Generates a completion script for fish.
+ * @param {array.<object>} scopes  The completions of each scope.
+ * @param {string}         program The executable name of the calling program.
+ * @returns {string} The completion script.
+ */
+function _fish(scopes, program) {
+	let name = '__' + _identifier(program)
+
+	let lines = [
+		'# fish completion for ' + program,
+		'# Copy this file to ~/.config/fish/completions/' + program + '.fish, or source it.',
+		'',
+		'function ' + name + '_scope',
+		'\tset -l scope ' + _quoteFish(scopes[0].scope),
+		'\tfor token in (commandline -opc)[2..-1]',
+		'\t\tswitch "$scope $token"'
+	]
+	if (scopes.length > 1) {
+		lines.push(
+			'\t\t\tcase ' + scopes.slice(1).map(function(x) { return _quoteFish(x.scope) }).join(' '),
+			'\t\t\t\tset scope "$scope $token"')
+	}
+	lines.push(
+		'\t\tend',
+		'\tend',
+		'\techo $scope',
+		'end',
+		'',
+		'function ' + name + '_in_scope',
+		'\ttest (' + name + '_scope) = $argv[1]',
+		'end',
+		'')
+
+	for (let scope of scopes) {
+		let prefix = 'complete -c ' + _quoteFish(program)
+			+ ' -n ' + _quoteFish(name + '_in_scope ' + _quoteFish(scope.scope))
+
+		// Complete the options.
+		for (let x of scope.options) {
+			let line = prefix
+			for (let short of x.option.short)
+				line += (short.length === 1 ? ' -s ' : ' -o ') + _quoteFish(short)
+			for (let long of x.option.long)
+				line += ' -l ' + _quoteFish(long)
+			if (x.option.negatable)
+				for (let long of x.option.long)
+					line += ' -l ' + _quoteFish('no-' + long)
+
+			// Complete the argument of the option.
+			if (x.argument) {
+				if (!x.option.optional)
+					line += ' -r'
+				switch (x.argument.kind) {
+					case 'choices':
+						line += ' -f -a ' + _quoteFish(x.argument.choices.join(' '))
+						break
+					case 'directory':
+						line += ' -f -a ' + _quoteFish('(__fish_complete_directories (commandline -ct))')
+						break
+					case 'dynamic':
+						line += ' -f -a ' + _quoteFish('(' + program + ' ' + completeFlag
+							+ ' ' + _quoteFish(scope.scope) + ' ' + _quoteFish(_forms(x.option)[0])
+							+ ' (commandline -ct) 2>/dev/null)')
+						break
+					case 'file':
+						line += ' -F'
+						break
+				}
+			}
+
+			if (x.description)
+				line += ' -d ' + _quoteFish(x.description)
+			lines.push(line)
+		}
+
+		// Complete the commands.
+		for (let command of scope.commands) {
+			let line = prefix + ' -f -a ' + _quoteFish(command.name)
+			if (command.description)
+				line += ' -d ' + _quoteFish(command.description)
+			lines.push(line)
+		}
+	}
+
+	lines.push('')
+	return lines.join('\n')
+}
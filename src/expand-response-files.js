@@ -0,0 +1,86 @@
+import fs from 'fs'
+import path from 'path'
+import formatMessage from './messages.js'
+import ParseError from './parse-error.js'
+import tokenize from './tokenize.js'
+
+/**
+ * Expands the response files in the command-line arguments, which are the arguments of the form '@path'.
+ * The content of a response file is split into arguments in the manner of a POSIX shell, and it may refer to further
+ * response files, whose paths are relative to the directory of the response file that refers to them.
+ * @param {array.<string>}  args       The command-line arguments.
+ * @param {number}          maxDepth   The maximum depth of nested response files.
+ * @param {getopt~Settings} [settings] The configuration of the parser, whose messages are used.
+ * @returns {array.<object>} The expanded command-line arguments, each having its value and its origin if it was read from a response file.
+ * @throws {ParseError} Thrown if a response file cannot be read, is invalid, includes itself, or is nested too deeply.
+ */
+export default function expandResponseFiles(args, maxDepth, settings) {
+	let tokens = []
+	for (let [index, arg] of Array.from(args).entries())
+		_expand({value: arg}, {index: index, token: arg, files: [], maxDepth: maxDepth, settings: settings}, tokens)
+	return tokens
+}
+
+/**
+ * Expands a command-line argument, if it refers to a response file.
+ * @param {object}          token              The command-line argument.
+ * @param {string}          token.value        The value of the command-line argument.
+ * @param {getopt~Origin}   [token.origin]     The response file and line from which the command-line argument was read.
+ * @param {object}          context            The context of the expansion.
+ * @param {number}          context.index      The index of the command-line argument that was given to the program.
+ * @param {string}          context.token      The command-line argument that was given to the program.
+ * @param {array.<string>}  context.files      The resolved paths of the response files that are being expanded.
+ * @param {number}          context.maxDepth   The maximum depth of nested response files.
+ * @param {getopt~Settings} [context.settings] The configuration of the parser, whose messages are used.
+ * @param {array.<object>}  tokens             The expanded command-line arguments.
+ * @throws {ParseError} Thrown if the response file cannot be read, is invalid, includes itself, or is nested too deeply.
+ */
+function _expand(token, context, tokens) {
+	if (!token.value.startsWith('@') || token.value.length === 1) {
+		tokens.push(token)
+		return
+	}
+
+	// Find the response file relative to the response file that refers to it.
+	let file = token.origin
+		? path.join(path.dirname(token.origin.file), token.value.substring(1))
+		: token.value.substring(1)
+	let resolved = path.resolve(file)
+
+	let details = {
+		code: ParseError.INVALID_RESPONSE_FILE,
+		index: context.index,
+		token: context.token,
+		origin: token.origin
+	}
+	let prefix = token.origin ? token.origin.file + ':' + token.origin.line + ': ' : ''
+
+	if (context.files.includes(resolved))
+		throw new ParseError(prefix + formatMessage('responseFileCycle', {file: file}, context.settings), details)
+	if (context.files.length >= context.maxDepth)
+		throw new ParseError(prefix + formatMessage('responseFileDepth', {file: file, depth: context.maxDepth}, context.settings), details)
+
+	// Read the response file.
+	let content
+	try {
+		content = fs.readFileSync(file, 'utf8')
+	}
+	catch (e) {
+		throw new ParseError(prefix + formatMessage('responseFileUnreadable', {file: file}, context.settings), Object.assign(details, {cause: e}))
+	}
+
+	// Split the response file into arguments.
+	let words
+	try {
+		words = tokenize(content)
+	}
+	catch (e) {
+		let reason = e.key !== undefined ? formatMessage(e.key, e.values, context.settings) : e.message
+		throw new ParseError(prefix + formatMessage('responseFileInvalid', {file: file, reason: reason}, context.settings), Object.assign(details, {cause: e}))
+	}
+
+	// Expand the arguments that were read from the response file.
+	let nested = Object.assign({}, context, {files: context.files.concat([resolved])})
+	for (let word of words)
+		_expand({value: word.value, origin: {file: file, line: word.line}}, nested, tokens)
+}
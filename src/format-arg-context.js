@@ -0,0 +1,34 @@
+import quote, {escape} from './quote.js'
+
+/**
+ * Renders the command-line arguments with a caret under a portion of one of them, such as the portion that caused a
+ * {@link ParseError} or that generated a {@link getopt~Result}.
+ * @param {array.<string>} args                 The command-line arguments.
+ * @param {object}         location             The location of the portion of the command-line arguments.
+ * @param {number}         [location.index]     The index of the command-line argument, or @c undefined to only render the command-line arguments.
+ * @param {number}         [location.subIndex]  The index of the first character of the portion of the command-line argument, which is 0 by default.
+ * @param {number}         [location.subLength] The length of the portion of the command-line argument, which extends to the end of the command-line argument by default.
+ * @returns {string} The command-line arguments, followed by a line that contains the caret.
+ */
+export default function formatArgContext(args, location) {
+	args = Array.from(args)
+
+	let line = args.map(quote).join(' ')
+	if (location.index == null)
+		return line
+
+	// Handle the case where the location is after the last argument.
+	if (location.index >= args.length)
+		return line + '\n' + ' '.repeat(line.length + 1) + '^'
+
+	// Find the column of the portion of the argument.
+	let arg = args[location.index]
+	let subIndex = location.subIndex ?? 0
+	let subLength = location.subLength ?? arg.length - subIndex
+	let column = args.slice(0, location.index).map(function(x) { return quote(x) + ' ' }).join('').length
+		+ (quote(arg) !== arg ? 1 : 0)
+		+ escape(arg.substring(0, subIndex)).length
+	let width = Math.max(escape(arg.substring(subIndex, subIndex + subLength)).length, 1)
+
+	return line + '\n' + ' '.repeat(column) + '^' + '~'.repeat(width - 1)
+}
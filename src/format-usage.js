@@ -0,0 +1,270 @@
+import wordWrap from 'word-wrap'
+import formatMessage from './messages.js'
+
+/**
+ * The renderers of the usage documentation, indexed by the name of their format.
+ * @constant {object.<string, function>}
+ */
+const _renderers = {
+	ansi: _ansi,
+	man: _man,
+	markdown: _markdown,
+	plain: _plain
+}
+
+/**
+ * The formats in which the usage documentation can be rendered.
+ * @constant {array.<string>}
+ */
+export const formats = Object.keys(_renderers)
+
+/**
+ * Renders the usage documentation.
+ * @param {getopt~UsageDocument} document The content of the usage documentation.
+ * @param {string}               format   The format, which is 'ansi', 'man', 'markdown', or 'plain'.
+ * @param {getopt~Settings}      settings The normalized configuration of the parser.
+ * @returns {string} The usage documentation.
+ */
+export default function renderUsage(document, format, settings) {
+	return _renderers[format](document, settings)
+}
+
+/**
+ * Renders the usage documentation as plain text.
+ * @param {getopt~UsageDocument} document The content of the usage documentation.
+ * @param {getopt~Settings}      settings The normalized configuration of the parser.
+ * @returns {string} The usage documentation.
+ */
+function _plain(document, settings) {
+	return _text(document, settings, function(x) { return x })
+}
+
+/**
+ * Renders the usage documentation as text that is styled by ANSI escape sequences, for display in a terminal.
+ * @param {getopt~UsageDocument} document The content of the usage documentation.
+ * @param {getopt~Settings}      settings The normalized configuration of the parser.
+ * @returns {string} The usage documentation.
+ */
+function _ansi(document, settings) {
+	return _text(document, settings, function(x, style) {
+		return x.length > 0
+			? (style === 'heading' ? '\x1b[1m' : '\x1b[36m') + x + '\x1b[0m'
+			: x
+	})
+}
+
+/**
+ * Renders the usage documentation as text.
+ * @param {getopt~UsageDocument} document The content of the usage documentation.
+ * @param {getopt~Settings}      settings The normalized configuration of the parser.
+ * @param {function}             style    A function that styles a heading or a specification.
+ * @returns {string} The usage documentation.
+ */
+function _text(document, settings, style) {
+	let text = ''
+
+	// Write the version.
+	if (document.version)
+		text += document.program + ' ' + document.version + '\n'
+
+	// Write the usage header.
+	if (document.header)
+		text += _wrap(document.header, settings)
+
+	// Write the usage specification.
+	text += style(_heading(formatMessage('usage', {}, settings), settings), 'heading') + ' ' + style(document.program, 'spec')
+	if (document.spec)
+		text += ' ' + document.spec
+	text += '\n'
+
+	// Write the options, positional parameters, and commands.
+	for (let section of document.sections) {
+		text += style(_heading(_title(section), settings), 'heading') + '\n'
+		text += _table(section.rows, settings, style)
+	}
+
+	// Write the usage footer.
+	if (document.footer)
+		text += _wrap(document.footer, settings)
+
+	return text
+}
+
+/**
+ * Formats a heading of the usage documentation as text.
+ * @param {string}          title    The title of the heading.
+ * @param {getopt~Settings} settings The normalized configuration of the parser, whose messages are used.
+ * @returns {string} The heading.
+ */
+function _heading(title, settings) {
+	return formatMessage('heading', {title: title}, settings)
+}
+
+/**
+ * Formats the title of a section, followed by its note, if any.
+ * @param {object} section The section of the usage documentation.
+ * @returns {string} The title.
+ */
+function _title(section) {
+	return section.title + (section.note ? ' (' + section.note + ')' : '')
+}
+
+/**
+ * Wraps each line of text on word boundaries, preserving the leading and trailing whitespace of the text.
+ * @param {string}          text     The text.
+ * @param {getopt~Settings} settings The normalized configuration of the parser.
+ * @returns {string} The wrapped text.
+ */
+function _wrap(text, settings) {
+	if (!settings.wrap)
+		return text
+
+	return text.match(/^\s*/)
+		+ text.trim()
+			.split('\n')
+			.map(function(line) {
+				return wordWrap(line, {
+					indent: '',
+					width: settings.wrap - 1
+				})
+			})
+			.join('\n')
+		+ text.match(/\s*$/)
+}
+
+/**
+ * Formats a table of specifications and descriptions.
+ * @param {array.<object>}  rows     The rows of the table, each having a specification and a description.
+ * @param {getopt~Settings} settings The normalized configuration of the parser.
+ * @param {function}        style    A function that styles a specification.
+ * @returns {string} The formatted table.
+ */
+function _table(rows, settings, style) {
+	// Calculate the maximum length of the rows.
+	let specLength = Math.max(...rows.map(function(x) { return x.spec.length }))
+	let descriptionLength = Math.max(...rows.map(function(x) { return x.description.length }))
+
+	// Format the rows.
+	let text = ''
+	for (let row of rows) {
+		// Wrap the description on word boundaries.
+		let description = row.description
+		if (settings.wrap && specLength + descriptionLength + 3 > settings.wrap) {
+			description = ' '.repeat(specLength + 3) + description
+			description = wordWrap(description, {
+				indent: ' '.repeat(specLength + 3),
+				width: settings.wrap - 1
+			})
+			description = description.substring((specLength + 3) * 2)
+		}
+
+		text += '  ' + style(row.spec, 'spec') + ' '.repeat(specLength - row.spec.length) + ' ' + description + '\n'
+	}
+
+	return text
+}
+
+/**
+ * Renders the usage documentation as Markdown.
+ * @param {getopt~UsageDocument} document The content of the usage documentation.
+ * @param {getopt~Settings}      settings The normalized configuration of the parser.
+ * @returns {string} The usage documentation.
+ */
+function _markdown(document, settings) {
+	let lines = ['# ' + document.program + (document.version ? ' ' + document.version : ''), '']
+
+	if (document.header)
+		lines.push(document.header.trim(), '')
+
+	lines.push(
+		'## ' + formatMessage('usage', {}, settings),
+		'',
+		'```',
+		document.program + (document.spec ? ' ' + document.spec : ''),
+		'```',
+		'')
+
+	for (let section of document.sections) {
+		lines.push('## ' + _title(section), '')
+		for (let row of section.rows)
+			lines.push('* `' + row.spec + '`' + (row.description ? ': ' + row.description : ''))
+		lines.push('')
+	}
+
+	if (document.footer)
+		lines.push(document.footer.trim(), '')
+
+	return lines.join('\n')
+}
+
+/**
+ * Renders the usage documentation as a man page in the roff format.
+ * @param {getopt~UsageDocument} document The content of the usage documentation.
+ * @param {getopt~Settings}      settings The normalized configuration of the parser.
+ * @returns {string} The usage documentation.
+ */
+function _man(document, settings) {
+	let heading = function(key) { return '.SH ' + _roff(formatMessage(key, {}, settings)) }
+
+	let lines = [
+		'.TH ' + _quoteRoff(document.program.toUpperCase()) + ' 1 "" '
+			+ _quoteRoff(document.program + (document.version ? ' ' + document.version : '')),
+		heading('manName'),
+		_roff(document.program),
+		heading('manSynopsis'),
+		'.B ' + _roff(document.program)
+	]
+	if (document.spec)
+		lines.push(_roff(document.spec))
+
+	if (document.header)
+		lines.push(heading('manDescription'), ..._paragraphs(document.header))
+
+	for (let section of document.sections) {
+		lines.push('.SH ' + _roff(_title(section).toUpperCase()))
+		for (let row of section.rows) {
+			lines.push('.TP', '.B ' + _roff(row.spec))
+			if (row.description)
+				lines.push(_roff(row.description))
+		}
+	}
+
+	if (document.footer)
+		lines.push(heading('manNotes'), ..._paragraphs(document.footer))
+
+	return lines.join('\n') + '\n'
+}
+
+/**
+ * Converts text to roff paragraphs, which are separated by blank lines.
+ * @param {string} text The text.
+ * @returns {array.<string>} The lines of the paragraphs.
+ */
+function _paragraphs(text) {
+	return text.trim()
+		.split(/\n\s*\n/)
+		.flatMap(function(paragraph, i) {
+			return (i > 0 ? ['.PP'] : []).concat(paragraph.split('\n').map(_roff))
+		})
+}
+
+/**
+ * Escapes a line of text for roff.
+ * @param {string} text The text.
+ * @returns {string} The escaped text.
+ */
+function _roff(text) {
+	text = text
+		.replace(/\\/g, '\\e')
+		.replace(/-/g, '\\-')
+	return /^[.']/.test(text) ? '\\&' + text : text
+}
+
+/**
+ * Quotes an argument of a roff request.
+ * @param {string} text The argument.
+ * @returns {string} The quoted argument.
+ */
+function _quoteRoff(text) {
+	return '"' + _roff(text).replace(/"/g, '""') + '"'
+}
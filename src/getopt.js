@@ -1,23 +1,54 @@
+import fs from 'fs'
 import path from 'path'
 import process from 'process'
-import wordWrap from 'word-wrap'
+import readline from 'readline'
+import stream from 'stream'
 import ArgumentError from './argument-error.js'
+import CompletionRequest from './completion-request.js'
+import generateCompletion, {completeFlag, shells} from './completion.js'
+import expandResponseFiles from './expand-response-files.js'
+import formatArgContext from './format-arg-context.js'
+import renderUsage, {formats} from './format-usage.js'
+import formatMessage, {isMessage, localize} from './messages.js'
+import ParseError from './parse-error.js'
+import primaryName from './primary-name.js'
+import quote from './quote.js'
+import readConfig from './read-config.js'
+import standardOptions from './standard-options.js'
+import suggest from './suggest.js'
+import tokenize from './tokenize.js'
 import './shims/string.js' // String.isString
 
 /**
  * The configuration of the parser.
  * @typedef {object} getopt~Settings
- * @property {getopt~Callback}       [callback]      A function that will be called after parsing.
- * @property {getopt~ErrorCallback}  [error]         A function that will be called when an error occurs.
- * @property {boolean}               [first]         A value indicating whether to only show the first short and long option.
- * @property {array.<getopt~Option>} [options]       The specification of the optional parameters.
- * @property {object|string}         [usage]         The configuration of the usage.
- * @property {string}                [usage.footer]  The content that will be displayed after the usage specification.
- * @property {string}                [usage.header]  The content that will be displayed before the usage specification.
- * @property {string}                [usage.program] The executable name of the calling program.
- * @property {string}                [usage.spec]    A line that contains the usage specification.
- * @property {string}                [version]       The version of the calling program.
- * @property {boolean|number}        [wrap]          @c true to enable word wrap, or the width at which to wrap.
+ * @property {boolean}                  [abbreviations]    A value indicating whether a long option can be abbreviated to a unique prefix of its long form, as in '--verb' for '--verbose'.
+ * @property {getopt~Callback}          [callback]         A function that will be called after parsing.
+ * @property {boolean}                  [caseInsensitive]  A value indicating whether the long forms, and the short forms in the single-dash and Windows syntaxes, are matched case-insensitively.
+ * @property {array.<getopt~Command>}   [commands]         The specification of the commands.
+ * @property {boolean}                  [completion]       A value indicating whether to handle the requests of a completion script for the candidates of an argument, which are the arguments beginning with '--getopt-complete', by throwing a {@link CompletionRequest}.
+ * @property {array.<string>|string}    [configFiles]      The path(s) to the configuration files from which to read the values of unspecified options, where later files take precedence.
+ * @property {string}                   [envPrefix]        The prefix of the environment variables from which to read the values of unspecified options.
+ * @property {getopt~ErrorCallback}     [error]            A function that will be called when an error occurs.
+ * @property {boolean}                  [first]            A value indicating whether to only show the first short and long option.
+ * @property {string}                   [locale=en]        The locale of the messages and the descriptions, such as 'fr' or 'fr-CA', where the messages fall back to the language and then to English.
+ * @property {object}                   [messages]         The messages that replace those of the locale, indexed by their key, as in 'src/locales/en.js', each being a string with placeholders of the form '{name}' or a function that formats the values of the placeholders.
+ * @property {array.<getopt~Group>}     [groups]           The groups of related options.
+ * @property {array.<getopt~Option>}    [options]          The specification of the optional parameters.
+ * @property {array.<getopt~Parameter>} [parameters]       The specification of the positional parameters.
+ * @property {boolean|number}           [responseFiles]    @c true to expand the arguments of the form '@path' into the arguments in the response file at the path, or the maximum depth of nested response files.
+ * @property {boolean}                  [standardOptions]  A value indicating whether to add the options '-h, --help' and '-V, --version', where the latter requires a version, except for the forms that are already defined.
+ * @property {boolean}                  [stopAtPositional] A value indicating whether the options end at the first positional parameter, so that the remaining arguments are positional, which is @c true by default if the environment variable POSIXLY_CORRECT is set.
+ * @property {string}                   [syntax=gnu]       The syntax of the options, which is 'gnu' for '-o file' and '--output=file', 'plus' for the GNU syntax where '+x' negates the flag '-x', 'single-dash' for '-o file' and '-output file', or 'windows' for '/o:file', '/output:file', and '/?'.
+ * @property {boolean|number}           [suggestions]      @c true to suggest similar options when an option is not recognized, or the maximum edit distance of the suggestions.
+ * @property {string}                   [unknown=error]    How to handle an unrecognized option, which is 'error' to reject it, 'passthrough' to collect it in the unknown options of the results, or 'positional' to also treat it as a positional parameter.
+ * @property {object|string}            [usage]            The configuration of the usage.
+ * @property {string}                   [usage.footer]     The content that will be displayed after the usage specification.
+ * @property {string}                   [usage.header]     The content that will be displayed before the usage specification.
+ * @property {string}                   [usage.program]    The executable name of the calling program.
+ * @property {string}                   [usage.spec]       A line that contains the usage specification, which is generated from the options, parameters, and commands by default.
+ * @property {string}                   [version]          The version of the calling program, which is displayed by {@link version} and in the usage documentation.
+ * @property {boolean|number}           [wrap]             @c true to enable word wrap, or the width at which to wrap.
  */
 
 /**
@@ -25,12 +56,94 @@ import './shims/string.js' // String.isString
  * @default
  */
 const _defaultSettings = {
+	commands: [],
 	first: true,
+	groups: [],
 	options: [],
-	usage: '[option]... [parameter]...',
+	suggestions: true,
+	syntax: 'gnu',
+	unknown: 'error',
 	wrap: true
 }
 
+/**
+ * The accumulation modes of an option that is specified more than once.
+ * @constant {array.<string>}
+ * @default
+ */
+const _multipleModes = [
+	'array',
+	'count',
+	'error',
+	'first',
+	'last'
+]
+
+/**
+ * The kinds of prompts for the value of an option that was not specified.
+ * @constant {array.<string>}
+ * @default
+ */
+const _promptKinds = [
+	'choice',
+	'confirm',
+	'password',
+	'text'
+]
+
+/**
+ * The ways to handle an unrecognized option.
+ * @constant {array.<string>}
+ * @default
+ */
+const _unknownModes = [
+	'error',
+	'passthrough',
+	'positional'
+]
+
+/**
+ * The syntaxes of the options, indexed by their name.
+ * Each syntax has the characters that begin an option, the prefixes of the short and long forms, the separator between
+ * an option and its argument in the usage documentation, and the separators that are recognized when parsing, where the
+ * syntaxes whose options are whole words don't combine short options.
+ * @constant {object.<string, object>}
+ */
+const _syntaxes = {
+	'gnu': {
+		prefixes: ['-'],
+		short: '-',
+		long: '--',
+		separator: '=',
+		separators: ['='],
+		words: false
+	},
+	'plus': {
+		prefixes: ['-', '+'],
+		short: '-',
+		long: '--',
+		separator: '=',
+		separators: ['='],
+		words: false
+	},
+	'single-dash': {
+		prefixes: ['-'],
+		short: '-',
+		long: '-',
+		separator: ' ',
+		separators: ['='],
+		words: true
+	},
+	'windows': {
+		prefixes: ['/'],
+		short: '/',
+		long: '/',
+		separator: ':',
+		separators: [':', '='],
+		words: true
+	}
+}
+
 /**
  * The default width at which to wrap the usage.
  * @constant {number}
@@ -38,16 +151,43 @@ const _defaultSettings = {
  */
 const _defaultWrapWidth = 80
 
+/**
+ * The default maximum edit distance of the suggestions for an unrecognized option.
+ * @constant {number}
+ * @default
+ */
+const _defaultSuggestionDistance = 2
+
+/**
+ * The default maximum depth of nested response files.
+ * @constant {number}
+ * @default
+ */
+const _defaultResponseFileDepth = 16
+
 /**
  * The specification of an optional parameter.
  * @typedef {object} getopt~Option
- * @property {array.<string>|string} [name]           The name(s) by which the option will be indexed.
- * @property {array.<string>|string} [short]          The short form(s) by which the option can be specified on the command line.
- * @property {array.<string>|string} [long]           The long form(s) by which the option can be specified on the command line.
- * @property {string}                [description]    A description that will be displayed in the usage documentation.
- * @property {boolean|String}        [argument]       A value indicating whether the option expects an argument.
- * @property {boolean}               [optional=false] A value indicating whether the argument is optional.
- * @property {getopt~Callback}       [callback]       A function that will be called when this option is parsed.
+ * @property {array.<string>|string}                  [name]            The name(s) by which the option will be indexed.
+ * @property {array.<string>|string}                  [short]           The short form(s) by which the option can be specified on the command line.
+ * @property {array.<string>|string}                  [long]            The long form(s) by which the option can be specified on the command line.
+ * @property {object|string}                          [description]     A description that will be displayed in the usage documentation, or the descriptions indexed by their locale.
+ * @property {boolean|String}                         [argument]        A value indicating whether the option expects an argument.
+ * @property {boolean}                                [optional=false]  A value indicating whether the argument is optional.
+ * @property {boolean}                                [required=false]  A value indicating whether the option must be specified.
+ * @property {boolean}                                [negatable=false] A value indicating whether the long forms of the option can be negated by the prefix 'no-', in which case the value of the option is true or false.
+ * @property {string|getopt~Parser}                   [type]            The type of the argument, which is one of 'number', 'integer', 'boolean', 'enum', or 'json', or a function that parses the argument.
+ * @property {array.<string>}                         [choices]         The permitted values of the argument when the type is 'enum'.
+ * @property {getopt~Validator}                       [validate]        A function that validates the value of the argument.
+ * @property {array.<string>|string}                  [conflicts]       The key(s) of the options that cannot be specified together with this option.
+ * @property {array.<string>|string}                  [requires]        The key(s) of the options that must be specified together with this option.
+ * @property {array.<string>|string}                  [implies]         The key(s) of the options that are implicitly specified by this option, which must not expect an argument.
+ * @property {string}                                 [env]             The environment variable from which to read the value of this option when it is not specified.
+ * @property {*}                                      [default]         The value of this option when it is not specified.
+ * @property {string}                                 [multiple=last]   The accumulation mode when this option is specified more than once, which is 'last' or 'first' to keep the last or first value, 'array' to keep every value in an array, 'count' to count the instances, or 'error' to reject the repetition.
+ * @property {string|array.<string>|getopt~Completer} [complete]        How to complete the argument in a shell, which is 'file', 'directory', an array of candidates, or a function that generates the candidates.
+ * @property {getopt~Callback}                        [callback]        A function that will be called when this option is parsed.
+ * @property {boolean|string}                         [prompt]          How {@link getoptInteractive} prompts for the value of this option when it is not specified, which is 'text', 'password' to hide the answer, 'confirm' for a flag, or 'choice' to select one of the choices, or @c true to infer the kind from the option.
  */
 
 /**
@@ -56,9 +196,154 @@ const _defaultWrapWidth = 80
  */
 const _defaultOption = {
 	description: '',
-	optional: false
+	multiple: 'last',
+	negatable: false,
+	optional: false,
+	required: false
+}
+
+/**
+ * A group of related options, which are displayed together in the usage documentation.
+ * @typedef {object} getopt~Group
+ * @property {array.<string>|string} options           The key(s) of the options in the group.
+ * @property {string}                [title]           The heading under which the options will be displayed in the usage documentation.
+ * @property {boolean}               [exclusive=false] A value indicating whether at most one of the options can be specified.
+ * @property {boolean}               [required=false]  A value indicating whether at least one of the options must be specified.
+ */
+
+/**
+ * @constant {getopt~Group}
+ * @default
+ */
+const _defaultGroup = {
+	exclusive: false,
+	required: false
+}
+
+/**
+ * The specification of a positional parameter.
+ * @typedef {object} getopt~Parameter
+ * @property {string}               name             The name by which the parameter will be indexed.
+ * @property {object|string}        [description]    A description that will be displayed in the usage documentation, or the descriptions indexed by their locale.
+ * @property {boolean}              [optional=false] A value indicating whether the parameter is optional.
+ * @property {boolean}              [variadic=false] A value indicating whether the parameter accepts any number of arguments, which is only permitted for the last parameter.
+ * @property {string|getopt~Parser} [type]           The type of the parameter, as in {@link getopt~Option}.
+ * @property {array.<string>}       [choices]        The permitted values of the parameter when the type is 'enum'.
+ * @property {getopt~Validator}     [validate]       A function that validates the value of the parameter.
+ */
+
+/**
+ * @constant {getopt~Parameter}
+ * @default
+ */
+const _defaultParameter = {
+	description: '',
+	optional: false,
+	variadic: false
+}
+
+/**
+ * A function that converts an argument to its value.
+ * It may return a promise when the arguments are parsed by {@link getoptAsync} or {@link parseAsync}.
+ * @callback getopt~Parser
+ * @param {string}                         value The argument.
+ * @param {getopt~Option|getopt~Parameter} spec  The specification of the option or positional parameter.
+ * @returns {*} The value.
+ * @throws {Error} Thrown if the argument is invalid.
+ */
+
+/**
+ * A function that validates the value of an argument after it is converted to its type.
+ * It may return a promise when the arguments are parsed by {@link getoptAsync} or {@link parseAsync}.
+ * @callback getopt~Validator
+ * @param {*}                              value The value.
+ * @param {getopt~Option|getopt~Parameter} spec  The specification of the option or positional parameter.
+ * @returns {boolean|undefined} @c false if the value is invalid.
+ * @throws {Error} Thrown if the value is invalid.
+ */
+
+/**
+ * The built-in parsers of the arguments, indexed by the name of their type.
+ * @constant {object.<string, getopt~Parser>}
+ */
+const _types = {
+	boolean: function(value) {
+		if (/^(?:1|on|true|yes)$/i.test(value))
+			return true
+		if (/^(?:0|false|no|off)$/i.test(value))
+			return false
+		throw _invalidValue('expectedBoolean')
+	},
+	enum: function(value, spec) {
+		if (!spec.choices.includes(value))
+			throw _invalidValue('expectedChoice', {choices: spec.choices.map(function(x) { return '\'' + x + '\'' }).join(', ')})
+		return value
+	},
+	integer: function(value) {
+		if (!/^[+-]?\d+$/.test(value))
+			throw _invalidValue('expectedInteger')
+		return Number.parseInt(value, 10)
+	},
+	json: function(value) {
+		try {
+			return JSON.parse(value)
+		}
+		catch (e) {
+			throw _invalidValue('expectedJson')
+		}
+	},
+	number: function(value) {
+		let number = Number(value)
+		if (value.trim().length === 0 || Number.isNaN(number))
+			throw _invalidValue('expectedNumber')
+		return number
+	}
 }
 
+/**
+ * A function that generates the candidates to complete the argument of an option in a shell.
+ * @callback getopt~Completer
+ * @param {string}        partial The portion of the argument that has been typed.
+ * @param {getopt~Option} option  The specification of the option.
+ * @returns {array.<string>} The candidates.
+ */
+
+/**
+ * The specification of a command, which is selected by the first positional parameter.
+ * The remaining command-line arguments are parsed according to the specification of the command.
+ * @typedef {object} getopt~Command
+ * @property {array.<string>|string}    name          The name(s) by which the command can be specified on the command line.
+ * @property {object|string}            [description] A description that will be displayed in the usage documentation, or the descriptions indexed by their locale.
+ * @property {getopt~Callback}          [callback]    A function that will be called after parsing.
+ * @property {array.<getopt~Command>}   [commands]    The specification of the subcommands.
+ * @property {array.<getopt~Group>}     [groups]      The groups of related options.
+ * @property {array.<getopt~Option>}    [options]     The specification of the optional parameters.
+ * @property {array.<getopt~Parameter>} [parameters]  The specification of the positional parameters.
+ * @property {object|string}            [usage]       The configuration of the usage, as in {@link getopt~Settings}.
+ */
+
+/**
+ * The settings that a command inherits from its parent.
+ * @constant {array.<string>}
+ * @default
+ */
+const _inheritedSettings = [
+	'abbreviations',
+	'caseInsensitive',
+	'envPrefix',
+	'error',
+	'first',
+	'locale',
+	'messages',
+	'standardOptions',
+	'stopAtPositional',
+	'suggestions',
+	'syntax',
+	'unknown',
+	'version',
+	'wrap'
+]
+
 /**
  * A function that will be called when a command-line argument is parsed.
  * @callback getopt~Callback
@@ -70,38 +355,92 @@ const _defaultOption = {
 /**
  * A parsed result.
  * @typedef {object} getopt~Result
- * @property {getopt~ParsedOption|getopt~ParsedParameter} parameter   The parameter that was generated.
- * @property {number}                                     index       The index of the command-line argument that was parsed to generate the parameter.
- * @property {number}                                     [subIndex]  The index of the portion of the command-line argument that was parsed to generate the parameter.
- * @property {number}                                     [subLength] The length of the portion of the command-line argument that was parsed to generate the parameter.
+ * @property {getopt~ParsedOption|getopt~ParsedParameter|getopt~ParsedCommand|getopt~ParsedUnknown|getopt~ParsedTerminator} parameter        The parameter that was generated.
+ * @property {number}                                                                                                       index            The index of the command-line argument that was parsed to generate the parameter.
+ * @property {number}                                                                                                       subIndex         The index of the first character of the portion of the command-line argument that was parsed to generate the parameter, such as the name of an option.
+ * @property {number}                                                                                                       subLength        The length of the portion of the command-line argument that was parsed to generate the parameter.
+ * @property {string}                                                                                                       [form]           The form of the option as it is defined in its specification, such as '--verbose' when it was specified as '--verb', if the parameter is an option.
+ * @property {number}                                                                                                       [valueIndex]     The index of the command-line argument that contains the argument of the option, if any, which follows the option when they are separated.
+ * @property {number}                                                                                                       [valueSubIndex]  The index of the first character of the argument of the option, if any, such as after the '=' of a long option.
+ * @property {number}                                                                                                       [valueSubLength] The length of the argument of the option, if any.
+ * @property {getopt~Origin}                                                                                                [origin]         The response file and line from which the command-line argument was read, if any.
+ * @property {getopt~Settings}                                                                                              settings         The configuration of the command that was active when the parameter was parsed.
+ */
+
+/**
+ * The location in a response file from which a command-line argument was read.
+ * @typedef {object} getopt~Origin
+ * @property {string} file The path to the response file.
+ * @property {number} line The line of the response file on which the command-line argument begins.
  */
 
 /**
  * The sanitized results.
  * @typedef {object} getopt~Results
- * @property {array.<getopt~ParsedOption|getopt~ParsedParameter> sequence   The optional and positional parameters in order of appearance.
- * @property {object.<string, getopt~ParsedOption>}              options    The optional parameters indexed by their name.
- * @property {array.<getopt~ParsedParameter>}                    parameters The positional parameters indexed by their position.
+ * @property {array.<getopt~ParsedOption|getopt~ParsedParameter|getopt~ParsedCommand|getopt~ParsedUnknown|getopt~ParsedTerminator>} sequence     The optional and positional parameters in order of appearance.
+ * @property {array.<string>}                                                                                                       commands     The names of the commands that were matched, from outermost to innermost.
+ * @property {object.<string, getopt~ParsedOption>}                                                                                 options      The optional parameters indexed by their name.
+ * @property {array.<getopt~ParsedParameter>}                                                                                       parameters   The positional parameters indexed by their position, and by their name if they are specified; the variadic parameter is indexed by its name as an array.
+ * @property {array.<object>}                                                                                                       unknown      The unrecognized options when they are not rejected, each having its value and its index, subIndex, and subLength as in {@link getopt~Result}.
+ * @property {number}                                                                                                               [terminator] The index of the '--' that marks the end of the options, if any.
+ * @property {object.<string, *>}                                                                                                   values       The values of the options of the parser and the matched commands, indexed by their primary name, which is their first name, or their first long form in camel case, or their first short form, where a flag that is not specified is @c false and a counter that is not specified is 0.
+ * @property {array}                                                                                                                rest         The values of the positional parameters.
+ * @property {array.<string>}                                                                                                       args         The command-line arguments to which the indexes of the results refer, which are expanded from the response files, if any.
  */
 
 /**
  * An optional parameter that was parsed from the command-line arguments.
  * @typedef {object} getopt~ParsedOption
- * @property {getopt~Option}         option The specification of the parameter.
- * @property {array.<string>|string} value  The value(s) that were assigned to the parameter.
+ * @property {getopt~Option} option The specification of the parameter.
+ * @property {*}             value  The value(s) that were assigned to the parameter, which is @c true for a flag that is specified, a boolean for a negatable flag, or the number of instances when the accumulation mode is 'count'.
+ * @property {string}        source The source of the value(s), which is 'cli', 'env', 'config', 'prompt', 'implied', or 'default'.
  */
 
 /**
  * A positional parameter that was parsed from the command-line arguments.
  * @typedef {object} getopt~ParsedParameter
- * @property {number} position The position of the parameter.
- * @property {string} value    The content of the parameter.
+ * @property {number}           position    The position of the parameter.
+ * @property {*}                value       The content of the parameter.
+ * @property {getopt~Parameter} [parameter] The specification of the parameter, if it is specified.
+ * @property {boolean}          [unknown]   @c true if the parameter is an unrecognized option.
+ */
+
+/**
+ * An unrecognized option that was passed through from the command-line arguments.
+ * @typedef {object} getopt~ParsedUnknown
+ * @property {string}  value   The unrecognized option, which may be the remainder of a sequence of short options.
+ * @property {boolean} unknown Always @c true.
+ */
+
+/**
+ * The '--' that marks the end of the options.
+ * @typedef {object} getopt~ParsedTerminator
+ * @property {string}  value      Always '--'.
+ * @property {boolean} terminator Always @c true.
+ */
+
+/**
+ * A command that was parsed from the command-line arguments.
+ * @typedef {object} getopt~ParsedCommand
+ * @property {getopt~Command} command The specification of the command.
+ * @property {string}         value   The name by which the command was specified.
+ */
+
+/**
+ * The content of the usage documentation, which is rendered in a particular format.
+ * @typedef {object} getopt~UsageDocument
+ * @property {string}         program   The executable name of the calling program, followed by the names of the commands.
+ * @property {string}         [version] The version of the calling program.
+ * @property {string}         [header]  The content that will be displayed before the usage specification.
+ * @property {string}         spec      The usage specification.
+ * @property {array.<object>} sections  The sections that describe the options, positional parameters, and commands, each having a title, an optional note, and rows that have a specification and a description.
+ * @property {string}         [footer]  The content that will be displayed after the usage specification.
  */
 
 /**
  * A function that will be called when an error occurs.
  * @callback getopt~ErrorCallback
- * @param {Error} error The error.
+ * @param {ParseError|Error} error The error.
  */
 
 /**
@@ -110,357 +449,2505 @@ const _defaultOption = {
  * @param {getopt~Settings} [settings] The configuration of the parser.
  * @returns {getopt~Results} The sanitized results.
  * @throws {ArgumentError} Thrown if any of the options are invalid.
+ * @throws {ParseError} Thrown if the command-line arguments cannot be parsed.
+ * @throws {CompletionRequest} Thrown if the arguments are a request from a completion script and 'settings.completion' is enabled.
  */
 export default function getopt(args, settings) {
 	requireValid(args, settings)
 	settings = _normalize(settings)
+	_handleCompletion(args, settings)
 
-	// Parse the arguments.
-	let parameters
+	let results
+	let scopes
+	let origins = []
 	try {
-		parameters = Array.from(_parse1(args, settings),
-			function(result) {
-				// Execute the callback that is defined for the option.
-				if (result.parameter.option?.callback != null)
-					result.parameter.option.callback(result, args, settings)
-				return result.parameter
-			})
+		// Expand the response files.
+		let expanded = _expand(args, settings)
+		args = expanded.args
+		origins = expanded.origins
+
+		// Parse the arguments.
+		let parsed = Array.from(_parse0(args, settings, origins))
+
+		// Build and check the results.
+		scopes = _scopes(parsed, settings)
+		results = _build(parsed, scopes)
+
+		// Add the plain values and the expanded arguments.
+		_project(results, scopes)
+		results.args = args
 	}
 	catch (e) {
+		_locate(e, origins, args)
 		if (settings.error)
 			settings.error(e)
 		throw e
 	}
 
-	// Build the results.
-	let results = {
-		sequence: parameters,
-		options: {},
-		parameters: []
-	}
-
-	// Index the parameters.
-	// Index the optional parameters by their keys.
-	// Index the positional parameters by their position.
-	// If there are multiple instances of the same option, then merge their values.
-	for (let parameter of parameters)
-		if ('option' in parameter) {
-			let keys = parameter.option.name.concat(parameter.option.short, parameter.option.long)
-			for (let key of keys) {
-				let option = results.options[key]
-				if (option === undefined)
-					results.options[key] = option = parameter
-				else {
-					if (!Array.isArray(option.value))
-						option.value = [option.value]
-					option.value.push(parameter.value)
-				}
-			}
-		}
-		else
-			results.parameters.push(parameter)
-
 	// Execute the callback.
 	if (settings.callback)
 		settings.callback(results, args, settings)
 
+	// Execute the callbacks of the commands.
+	for (let command of scopes.slice(1))
+		if (command.callback)
+			command.callback(results, args, command)
+
 	return results
 }
 
 /**
- * Parses the options from the command-line arguments.
- * @generator
+ * Parses the options from the command-line arguments and sanitizes the results, awaiting the callbacks, parsers, and
+ * validators that return a promise in the order of the arguments.
+ * @async
  * @param {array.<string>}  args       The command-line arguments.
  * @param {getopt~Settings} [settings] The configuration of the parser.
- * @yields {getopt~Result} The parsed results.
+ * @returns {Promise.<getopt~Results>} The sanitized results.
  * @throws {ArgumentError} Thrown if any of the options are invalid.
+ * @throws {ParseError} Thrown if the command-line arguments cannot be parsed.
+ * @throws {CompletionRequest} Thrown if the arguments are a request from a completion script and 'settings.completion' is enabled.
  */
-export function* parse(args, settings) {
-	requireValid(args, settings)
-	settings = _normalize(settings)
+export async function getoptAsync(args, settings) {
+	return _getoptAsync(args, settings, null)
+}
 
-	yield* _parse0(args, settings)
+/**
+ * Parses the options from the command-line arguments and sanitizes the results, as {@link getoptAsync} does, and
+ * prompts for the values of the options that have a prompt but were not specified, if the input is a terminal.
+ * @async
+ * @param {array.<string>}  args             The command-line arguments.
+ * @param {getopt~Settings} [settings]       The configuration of the parser.
+ * @param {object}          [streams]        The streams of the prompts.
+ * @param {stream.Readable} [streams.input]  The stream from which to read the answers, which is the standard input by default.
+ * @param {stream.Writable} [streams.output] The stream to which to write the prompts, which is the standard error by default.
+ * @returns {Promise.<getopt~Results>} The sanitized results.
+ * @throws {ArgumentError} Thrown if any of the options are invalid.
+ * @throws {ParseError} Thrown if the command-line arguments cannot be parsed, or if a required option was neither specified nor answered.
+ * @throws {CompletionRequest} Thrown if the arguments are a request from a completion script and 'settings.completion' is enabled.
+ */
+export async function getoptInteractive(args, settings, streams) {
+	return _getoptAsync(args, settings, {
+		input: streams?.input ?? process.stdin,
+		output: streams?.output ?? process.stderr
+	})
 }
 
 /**
- * Parses the options from the command-line arguments.
- * @generator
+ * Parses the options from the command-line arguments and sanitizes the results, awaiting the callbacks, parsers, and
+ * validators that return a promise in the order of the arguments.
+ * @async
  * @param {array.<string>}  args       The command-line arguments.
  * @param {getopt~Settings} [settings] The configuration of the parser.
- * @yields {getopt~Result} The parsed results.
+ * @param {object}          [streams]  The input and output streams of the prompts, or @c null to not prompt.
+ * @returns {Promise.<getopt~Results>} The sanitized results.
  * @throws {ArgumentError} Thrown if any of the options are invalid.
+ * @throws {ParseError} Thrown if the command-line arguments cannot be parsed.
+ * @throws {CompletionRequest} Thrown if the arguments are a request from a completion script and 'settings.completion' is enabled.
  */
-function* _parse0(args, settings) {
-	for (let result of _parse1(args, settings)) {
-		// Execute the callback that is defined for the option.
-		if (result.parameter.option?.callback != null)
-			result.parameter.option.callback(result, args, settings)
+async function _getoptAsync(args, settings, streams) {
+	requireValid(args, settings)
+	settings = _normalize(settings)
+	_handleCompletion(args, settings)
 
-		yield result
+	let results
+	let scopes
+	let origins = []
+	try {
+		// Expand the response files.
+		let expanded = _expand(args, settings)
+		args = expanded.args
+		origins = expanded.origins
+
+		// Parse the arguments.
+		let parsed = []
+		for await (let result of _parse0Async(args, settings, origins))
+			parsed.push(result)
+
+		// Build and check the results, prompting for the missing values.
+		scopes = _scopes(parsed, settings)
+		results = await _buildAsync(parsed, scopes, streams)
+
+		// Add the plain values and the expanded arguments.
+		_project(results, scopes)
+		results.args = args
+	}
+	catch (e) {
+		_locate(e, origins, args)
+		if (settings.error)
+			await settings.error(e)
+		throw e
 	}
+
+	// Execute the callback.
+	if (settings.callback)
+		await settings.callback(results, args, settings)
+
+	// Execute the callbacks of the commands.
+	for (let command of scopes.slice(1))
+		if (command.callback)
+			await command.callback(results, args, command)
+
+	return results
 }
 
 /**
- * Parses the options from the command-line arguments.
- * @generator
- * @param {array.<string>}  args       The command-line arguments.
- * @param {getopt~Settings} [settings] The configuration of the parser.
- * @yields {getopt~Result} The parsed results.
- * @throws {ArgumentError} Thrown if any of the options are invalid.
+ * Handles a request from a completion script for the candidates of an argument, if completion is enabled.
+ * @param {array.<string>}  args     The command-line arguments.
+ * @param {getopt~Settings} settings The normalized configuration of the parser.
+ * @throws {CompletionRequest} Thrown if the arguments are a request from a completion script.
  */
-function* _parse1(args, settings) {
-	// Index the options by their short forms.
-	let shortOptions = new Map(settings.options
-		.flatMap(function(option) {
-			return option.short.map(function(x) { return [x, option] })
-		}))
+function _handleCompletion(args, settings) {
+	if (settings.completion && Array.isArray(args) && args[0] === completeFlag)
+		throw new CompletionRequest(complete(args.slice(1), settings))
+}
 
-	// Index the options by their long forms.
-	let longOptions = new Map(settings.options
-		.flatMap(function(option) {
-			return option.long.map(function(x) { return [x, option] })
-		}))
+/**
+ * Collects the configuration of the parser and the commands that were matched by the parsed results.
+ * @param {array.<getopt~Result>} parsed   The parsed results.
+ * @param {getopt~Settings}       settings The normalized configuration of the parser.
+ * @returns {array.<getopt~Settings>} The configuration of the parser and the matched commands.
+ */
+function _scopes(parsed, settings) {
+	return [settings].concat(parsed
+		.filter(function(result) { return 'command' in result.parameter })
+		.map(function(result) { return result.parameter.command }))
+}
 
-	let argIndex = 0
-	let endOptions = false
-	let position = 0
-	let resultAwaitingArgument = null
+/**
+ * Builds the results from the parsed results, adds the unspecified options, and checks the results.
+ * @param {array.<getopt~Result>}   parsed The parsed results.
+ * @param {array.<getopt~Settings>} scopes The normalized configuration of the parser and the matched commands.
+ * @returns {getopt~Results} The results.
+ * @throws {ParseError} Thrown if the results are invalid.
+ */
+function _build(parsed, scopes) {
+	// Build the results.
+	let results = _collect(parsed)
 
-	for (let arg of args) {
-		if (!endOptions) {
-			// Finish processing a parsed option that is waiting for an argument.
-			if (resultAwaitingArgument) {
-				if (!resultAwaitingArgument.parameter.option.optional || arg[0] !== '-')
-					resultAwaitingArgument.parameter.value = arg
-				yield resultAwaitingArgument
-				resultAwaitingArgument = null
-				continue
-			}
+	// Read the unspecified options from the environment, the configuration files, and the defaults.
+	_fill(results, scopes)
 
-			if (arg[0] === '-' && arg.length > 1) {
-				if (arg[1] === '-') {
-					// Handle the case where we have reached the end of the options.
-					if (arg.length === 2) {
-						endOptions = true
-						continue
-					}
+	// Reject the values that were converted by an asynchronous parser.
+	for (let parameter of new Set(Object.values(results.options))) {
+		let scope = scopes.find(function(scope) { return scope.options.includes(parameter.option) })
+		_requireSettled(parameter.value, formatMessage('optionTarget', {option: _formatOption(parameter.option, scope)}, scope),
+			{option: parameter.option}, scope)
+	}
 
-					// Extract the long option and the value from the argument.
-					let i = arg.indexOf('=', 2)
-					if (i < 0)
-						i = arg.length
-					let longOption = arg.substring(2, i)
-					let value = i < arg.length ? arg.substring(i + 1) : undefined
+	// Add the options that are implied by the specified options.
+	_imply(results, scopes)
 
-					// Look up the specification of the long option.
-					let option = longOptions.get(longOption)
-					if (option === undefined)
-						throw new Error('Unrecognized option \'--' + longOption + '\'.')
+	// Check that the required options and positional parameters were specified.
+	_check(results, parsed, scopes)
 
-					// Validate the value of the long option.
-					if (value) {
-						if (!option.argument) {
-							throw new Error('Option \'--' + longOption + '\' doesn\'t take an argument.')
-						}
-					}
-					else if (option.argument && !option.optional)
-						throw new Error('Option \'--' + longOption + '\' requires an argument.')
+	return results
+}
 
-					// Generate the optional parameter.
-					yield {
-						parameter: {
-							option: option,
-							value: value
-						},
-						index: argIndex
-					}
-				}
-				else {
-					// Handle a sequence of one or more short options.
-					outer:
-					for (let i = 1; i < arg.length;) {
-						let shortOption
-						for (let j = arg.length; j > i; --j) {
-							shortOption = arg.substring(i, j)
-							let option = shortOptions.get(shortOption)
-							if (option === undefined)
-								continue
+/**
+ * Builds the results from the parsed results, as {@link _build} does, but waits for the values that were converted by
+ * an asynchronous parser, and prompts for the values of the options that have a prompt but were not specified, before
+ * checking the results.
+ * @async
+ * @param {array.<getopt~Result>}   parsed           The parsed results.
+ * @param {array.<getopt~Settings>} scopes           The normalized configuration of the parser and the matched commands.
+ * @param {object}                  [streams]        The streams of the prompts, or @c null to not prompt.
+ * @param {stream.Readable}         [streams.input]  The stream from which to read the answers.
+ * @param {stream.Writable}         [streams.output] The stream to which to write the prompts.
+ * @returns {Promise.<getopt~Results>} The results.
+ * @throws {ParseError} Thrown if the results are invalid.
+ */
+async function _buildAsync(parsed, scopes, streams) {
+	// Build the results.
+	let results = _collect(parsed)
 
-							// Generate the optional parameter.
-							let result = {
-								parameter: {
-									option: option,
-									value: undefined
-								},
-								index: argIndex,
-								subIndex: i - 1,
-								subLength: j - i,
-							}
+	// Read the unspecified options from the environment, the configuration files, and the defaults.
+	_fill(results, scopes)
 
-							// Handle the cases where the option may expect an argument.
-							if (!option.argument)
-								yield result
-							else if (j < arg.length) {
-								result.parameter.value = arg.substring(j)
-								yield result
-								j = arg.length
-							}
-							else
-								resultAwaitingArgument = result
+	// Wait for the values that were read from the environment and the configuration files.
+	await _settle(results)
 
-							i = j
-							continue outer
-						}
+	// Prompt for the options that are still missing.
+	if (streams)
+		await _prompt(results, scopes, streams)
 
-						throw new Error('Unrecognized option \'-' + shortOption + '\'.')
-					}
-				}
+	// Add the options that are implied by the specified options.
+	_imply(results, scopes)
 
-				continue
-			}
-		}
+	// Check that the required options and positional parameters were specified.
+	_check(results, parsed, scopes)
 
-		// Generate the positional parameter.
-		yield {
-			parameter: {
-				position: position++,
-				value: arg
-			},
-			index: argIndex
+	return results
+}
+
+/**
+ * Prompts for the values of the options that have a prompt but are missing from the results, if the input is a
+ * terminal, and adds the answers to the results.
+ * An answer that is invalid is reported and asked again, and an empty answer skips an option that is not required.
+ * Prompting stops at the end of the input, in which case the missing options are reported as usual.
+ * @async
+ * @param {getopt~Results}          results        The results.
+ * @param {array.<getopt~Settings>} scopes         The normalized configuration of the parser and the matched commands.
+ * @param {object}                  streams        The streams of the prompts.
+ * @param {stream.Readable}         streams.input  The stream from which to read the answers.
+ * @param {stream.Writable}         streams.output The stream to which to write the prompts.
+ */
+async function _prompt(results, scopes, streams) {
+	let present = new Set(Object.values(results.options).map(function(parameter) { return parameter.option }))
+	let pending = scopes.flatMap(function(scope) {
+		return scope.options
+			.filter(function(option) { return option.prompt && !present.has(option) })
+			.map(function(option) { return {option: option, scope: scope} })
+	})
+	if (pending.length === 0 || !streams.input.isTTY)
+		return
+
+	// Write the output of the terminal through a stream that can be muted to hide a password.
+	let muted = false
+	let output = new stream.Writable({
+		decodeStrings: false,
+		write: function(chunk, encoding, callback) {
+			if (!muted)
+				streams.output.write(chunk)
+			callback()
 		}
+	})
+	let terminal = readline.createInterface({input: streams.input, output: output, terminal: true})
+	let lines = terminal[Symbol.asyncIterator]()
+
+	try {
+		for (let {option, scope} of pending) {
+			let kind = _promptKind(option)
+			let form = _formatOption(option, scope)
+
+			// List the choices.
+			if (kind === 'choice')
+				streams.output.write(option.choices
+					.map(function(x, i) { return '  ' + (i + 1) + ') ' + x + '\n' })
+					.join(''))
+
+			for (;;) {
+				// Read the answer, which is hidden if it is a password.
+				terminal.setPrompt(_promptMessage(option, kind, form, scope))
+				terminal.prompt()
+				muted = kind === 'password'
+				let line = await lines.next()
+				muted = false
+				if (kind === 'password')
+					streams.output.write('\n')
+				if (line.done)
+					return
+
+				let answer = kind === 'password' ? line.value : line.value.trim()
+				if (answer.length === 0) {
+					if (option.required)
+						continue
+					break
+				}
+
+				// Convert the answer to the value of the option.
+				let value
+				try {
+					value = await _answer(answer, option, kind, form, scope)
+				}
+				catch (e) {
+					if (!(e instanceof ParseError))
+						throw e
+					streams.output.write((kind === 'password'
+						? formatMessage('invalidHiddenArgument', {
+							target: formatMessage('optionTarget', {option: form}, scope),
+							reason: _reason(e.cause, scope)
+						}, scope)
+						: e.message) + '\n')
+					continue
+				}
 
-		++argIndex
+				// Add the answer to the results.
+				if (value !== undefined) {
+					let parameter = {
+						option: option,
+						value: _shape(value, option),
+						source: 'prompt'
+					}
+					for (let key of option.name.concat(option.short, option.long))
+						results.options[key] = parameter
+				}
+				break
+			}
+		}
+	}
+	finally {
+		terminal.close()
 	}
 }
 
 /**
- * Validates the configuration of the parser.
- * @param {array.<string>}  args       The command-line arguments.
- * @param {getopt~Settings} [settings] The configuration of the parser.
- * @throws {ArgumentError} Thrown if any of the options are invalid.
+ * Determines the kind of the prompt of an option, which is inferred from the option when its prompt is @c true.
+ * @param {getopt~Option} option The normalized specification of the option.
+ * @returns {string} The kind of the prompt, which is one of {@link _promptKinds}.
  */
-function requireValid(args, settings) {
-	for (let err of _validate(args, settings))
-		throw new ArgumentError(err)
+function _promptKind(option) {
+	if (option.prompt !== true)
+		return option.prompt
+	if (!option.argument)
+		return 'confirm'
+	return option.type === 'enum' ? 'choice' : 'text'
 }
 
 /**
- * Validates the configuration of the parser.
- * @param {array.<string>}  args       The command-line arguments.
- * @param {getopt~Settings} [settings] The configuration of the parser.
- * @yields {string} The validation errors.
+ * Formats the message of the prompt of an option, which is its description without the final period, or otherwise its
+ * preferred form.
+ * @param {getopt~Option}   option   The normalized specification of the option.
+ * @param {string}          kind     The kind of the prompt.
+ * @param {string}          form     The preferred form of the option.
+ * @param {getopt~Settings} settings The normalized configuration of the parser or command that defines the option.
+ * @returns {string} The message.
+ */
+function _promptMessage(option, kind, form, settings) {
+	let message = option.description.replace(/\.$/, '') || form
+	if (kind === 'confirm') {
+		return formatMessage('confirmPrompt', {
+			message: message,
+			yes: _answers('yes', settings)[0],
+			no: _answers('no', settings)[0]
+		}, settings)
+	}
+	if (kind === 'choice')
+		return formatMessage('choicePrompt', {message: message, count: option.choices.length}, settings)
+	return formatMessage('textPrompt', {message: message}, settings)
+}
+
+/**
+ * Determines the accepted answers to a confirmation, which are alternatives that are separated by '|' in the message.
+ * @param {string}          key      The key of the message, which is 'yes' or 'no'.
+ * @param {getopt~Settings} settings The normalized configuration of the parser or command.
+ * @returns {array.<string>} The answers in lower case, from the shortest to the longest.
+ */
+function _answers(key, settings) {
+	return formatMessage(key, {}, settings).toLowerCase().split('|')
+}
+
+/**
+ * Converts the answer to a prompt to the value of an option.
+ * @async
+ * @param {string}          answer   The answer, which is not empty.
+ * @param {getopt~Option}   option   The normalized specification of the option.
+ * @param {string}          kind     The kind of the prompt.
+ * @param {string}          form     The preferred form of the option.
+ * @param {getopt~Settings} settings The normalized configuration of the parser or command that defines the option.
+ * @returns {Promise.<*>} The value, or @c undefined if a flag that is not negatable was declined.
+ * @throws {ParseError} Thrown if the answer is invalid.
+ */
+async function _answer(answer, option, kind, form, settings) {
+	let description = formatMessage('optionTarget', {option: form}, settings)
+	let details = {code: ParseError.INVALID_ARGUMENT, option: option}
+
+	// Handle the case where a flag is confirmed or declined.
+	if (kind === 'confirm') {
+		let yes = _answers('yes', settings)
+		let no = _answers('no', settings)
+		if (yes.includes(answer.toLowerCase()))
+			return option.multiple === 'count' ? 1 : true
+		if (no.includes(answer.toLowerCase()))
+			return option.negatable ? false : undefined
+		throw new ParseError(formatMessage('invalidAnswer', {
+			answer: answer,
+			target: description,
+			yes: yes[yes.length - 1],
+			no: no[no.length - 1]
+		}, settings), details)
+	}
+
+	// Handle the case where a choice is selected by its number.
+	if (kind === 'choice' && /^\d+$/.test(answer)) {
+		let i = Number.parseInt(answer, 10) - 1
+		if (i >= 0 && i < option.choices.length)
+			answer = option.choices[i]
+	}
+
+	return _coerce(answer, option, description, details, settings)
+}
+
+/**
+ * Adds the plain values of the options and positional parameters to the results.
+ * The values of the options are indexed by the primary name of each option, where a flag that is not specified is
+ * @c false, a counter that is not specified is 0, and an optional argument that is omitted is @c true.
+ * @param {getopt~Results}          results The results.
+ * @param {array.<getopt~Settings>} scopes  The normalized configuration of the parser and the matched commands.
+ */
+function _project(results, scopes) {
+	let parameters = Object.values(results.options)
+
+	results.values = {}
+	for (let scope of scopes) {
+		for (let option of scope.options) {
+			let parameter = parameters.find(function(parameter) { return parameter.option === option })
+			let key = primaryName(option)
+
+			// Keep the value of an option of the parent that a command repeats, unless the command's was specified.
+			if (parameter === undefined && key in results.values)
+				continue
+
+			let value = parameter?.value
+			if (parameter === undefined && option.multiple === 'count')
+				value = 0
+			else if (parameter === undefined && !option.argument)
+				value = false
+			else if (option.optional && Array.isArray(value))
+				value = value.map(function(x) { return x === undefined ? true : x })
+			else if (option.optional && parameter !== undefined && value === undefined)
+				value = true
+			results.values[key] = value
+		}
+	}
+
+	results.rest = results.parameters.map(function(parameter) { return parameter.value })
+}
+
+/**
+ * Waits for the values of the options that are promises, such as those that were converted by an asynchronous parser.
+ * Every value is awaited together, so that a rejection is not left unhandled when another value is rejected first.
+ * @async
+ * @param {getopt~Results} results The results.
+ * @throws {ParseError} Thrown if a value is invalid.
+ */
+async function _settle(results) {
+	let parameters = Array.from(new Set(Object.values(results.options)))
+	let values = await Promise.all(parameters.map(function(parameter) {
+		return Array.isArray(parameter.value)
+			? Promise.all(parameter.value)
+			: parameter.value
+	}))
+	for (let [i, parameter] of parameters.entries())
+		parameter.value = values[i]
+}
+
+/**
+ * Rejects a value that is a promise, such as one that was converted by an asynchronous parser, when parsing
+ * synchronously, after observing the promise so that its rejection is not reported as unhandled.
+ * @param {*}               value       The value, or the values of an option that accumulates them.
+ * @param {string}          description A description of the option or positional parameter, for use in the error message.
+ * @param {object}          details     The details of the error, as in {@link ParseError}.
+ * @param {getopt~Settings} settings    The normalized configuration of the parser, whose messages are used.
+ * @throws {ParseError} Thrown if the value is a promise.
+ */
+function _requireSettled(value, description, details, settings) {
+	let thenables = [].concat(value).filter(_isThenable)
+	if (thenables.length === 0)
+		return
+
+	for (let thenable of thenables)
+		thenable.then(undefined, function() {})
+	throw new ParseError(formatMessage('asynchronousArgument', {target: description}, settings),
+		Object.assign({code: ParseError.ASYNCHRONOUS_ARGUMENT}, details))
+}
+
+/**
+ * Parses the options from the command-line arguments.
+ * @generator
+ * @param {array.<string>}  args       The command-line arguments.
+ * @param {getopt~Settings} [settings] The configuration of the parser.
+ * @yields {getopt~Result} The parsed results.
+ * @throws {ArgumentError} Thrown if any of the options are invalid.
+ * @throws {ParseError} Thrown if the command-line arguments cannot be parsed.
+ */
+export function* parse(args, settings) {
+	requireValid(args, settings)
+	settings = _normalize(settings)
+
+	let origins = []
+	try {
+		// Expand the response files.
+		let expanded = _expand(args, settings)
+		args = expanded.args
+		origins = expanded.origins
+
+		yield* _parse0(args, settings, origins)
+	}
+	catch (e) {
+		_locate(e, origins, args)
+		if (settings.error)
+			settings.error(e)
+		throw e
+	}
+}
+
+/**
+ * Parses the options from the command-line arguments, awaiting the callbacks, parsers, and validators that return a
+ * promise in the order of the arguments.
+ * @async
+ * @generator
+ * @param {array.<string>}  args       The command-line arguments.
+ * @param {getopt~Settings} [settings] The configuration of the parser.
+ * @yields {getopt~Result} The parsed results.
+ * @throws {ArgumentError} Thrown if any of the options are invalid.
+ * @throws {ParseError} Thrown if the command-line arguments cannot be parsed.
+ */
+export async function* parseAsync(args, settings) {
+	requireValid(args, settings)
+	settings = _normalize(settings)
+
+	let origins = []
+	try {
+		// Expand the response files.
+		let expanded = _expand(args, settings)
+		args = expanded.args
+		origins = expanded.origins
+
+		yield* _parse0Async(args, settings, origins)
+	}
+	catch (e) {
+		_locate(e, origins, args)
+		if (settings.error)
+			await settings.error(e)
+		throw e
+	}
+}
+
+/**
+ * Expands the response files in the command-line arguments, if enabled.
+ * @param {array.<string>}  args     The command-line arguments.
+ * @param {getopt~Settings} settings The normalized configuration of the parser.
+ * @returns {object} The expanded command-line arguments and their origins, which are undefined for the arguments that were not read from a response file.
+ * @throws {ParseError} Thrown if a response file cannot be read, is invalid, includes itself, or is nested too deeply.
+ */
+function _expand(args, settings) {
+	if (!settings.responseFiles)
+		return {args: Array.from(args), origins: []}
+
+	let tokens = expandResponseFiles(args, settings.responseFiles === true
+		? _defaultResponseFileDepth
+		: settings.responseFiles, settings)
+	return {
+		args: tokens.map(function(x) { return x.value }),
+		origins: tokens.map(function(x) { return x.origin })
+	}
+}
+
+/**
+ * Attaches the response file and line from which a command-line argument was read to a parsed result or an error,
+ * prefixing the message of the error with the location, and attaches the command-line arguments to which the index
+ * of an error refers.
+ * @param {getopt~Result|Error}   target  The parsed result or the error.
+ * @param {array.<getopt~Origin>} origins The origins of the command-line arguments.
+ * @param {array.<string>}        [args]  The command-line arguments, which are expanded from the response files, if any.
+ */
+function _locate(target, origins, args) {
+	if (target instanceof ParseError && target.args === undefined)
+		target.args = args
+
+	let origin = origins[target.index]
+	if (origin === undefined || target.origin !== undefined)
+		return
+
+	target.origin = origin
+	if (target instanceof ParseError)
+		target.message = origin.file + ':' + origin.line + ': ' + target.message
+}
+
+/**
+ * Parses the options from the command-line arguments.
+ * @generator
+ * @param {array.<string>}        args     The command-line arguments.
+ * @param {getopt~Settings}       settings The configuration of the parser.
+ * @param {array.<getopt~Origin>} origins  The origins of the command-line arguments.
+ * @yields {getopt~Result} The parsed results.
+ * @throws {ParseError} Thrown if the command-line arguments cannot be parsed.
+ */
+function* _parse0(args, settings, origins) {
+	for (let result of _parse1(args, settings)) {
+		// Record the response file from which the argument was read.
+		_locate(result, origins)
+
+		// Reject the argument if it was converted by an asynchronous parser.
+		let spec = result.parameter.option ?? result.parameter.parameter
+		if (spec != null) {
+			_requireSettled(result.parameter.value, result.parameter.option
+				? formatMessage('optionTarget', {option: result.form}, result.settings)
+				: formatMessage('parameterTarget', {parameter: spec.name}, result.settings), {
+				index: result.valueIndex ?? result.index,
+				subIndex: result.valueIndex != null ? result.valueSubIndex : result.subIndex,
+				subLength: result.valueIndex != null ? result.valueSubLength : result.subLength,
+				token: args[result.valueIndex ?? result.index],
+				option: result.parameter.option,
+				parameter: result.parameter.parameter
+			}, result.settings)
+		}
+
+		// Execute the callback that is defined for the option.
+		if (result.parameter.option?.callback != null)
+			result.parameter.option.callback(result, args, result.settings)
+
+		yield result
+	}
+}
+
+/**
+ * Parses the options from the command-line arguments, awaiting the callbacks, parsers, and validators.
+ * @async
+ * @generator
+ * @param {array.<string>}        args     The command-line arguments.
+ * @param {getopt~Settings}       settings The configuration of the parser.
+ * @param {array.<getopt~Origin>} origins  The origins of the command-line arguments.
+ * @yields {getopt~Result} The parsed results.
+ * @throws {ParseError} Thrown if the command-line arguments cannot be parsed.
+ */
+async function* _parse0Async(args, settings, origins) {
+	for (let result of _parse1(args, settings)) {
+		// Record the response file from which the argument was read.
+		_locate(result, origins)
+
+		// Wait for the argument to be converted and validated.
+		result.parameter.value = await result.parameter.value
+
+		// Execute the callback that is defined for the option.
+		if (result.parameter.option?.callback != null)
+			await result.parameter.option.callback(result, args, result.settings)
+
+		yield result
+	}
+}
+
+/**
+ * Parses the options from the command-line arguments.
+ * @generator
+ * @param {array.<string>}  args       The command-line arguments.
+ * @param {getopt~Settings} [settings] The configuration of the parser.
+ * @yields {getopt~Result} The parsed results.
+ * @throws {ParseError} Thrown if the command-line arguments cannot be parsed.
+ */
+function* _parse1(args, settings) {
+	let tables = _index(settings)
+
+	let endOptions = false
+	let index = -1
+	let position = 0
+	let resultAwaitingArgument = null
+	let formAwaitingArgument = null
+	let tokenAwaitingArgument = null
+
+	/**
+	 * Generates a positional parameter, after which the options end if the parser stops at the first positional parameter.
+	 * @param {string} value    The positional parameter.
+	 * @param {string} token    The command-line argument that contains the positional parameter.
+	 * @param {number} subIndex The index of the positional parameter in the command-line argument.
+	 * @returns {getopt~Result} The parsed result.
+	 * @throws {ParseError} Thrown if the positional parameter cannot be converted.
+	 */
+	function positional(value, token, subIndex) {
+		let result = {
+			parameter: {
+				position: position,
+				value: value
+			},
+			index: index,
+			subIndex: subIndex,
+			subLength: value.length,
+			settings: settings
+		}
+
+		// Convert the positional parameter according to its specification.
+		let parameter = _parameterAt(settings, position++)
+		if (parameter) {
+			result.parameter.parameter = parameter
+			result.parameter.value = _coerce(value, parameter, formatMessage('parameterTarget', {parameter: parameter.name}, settings),
+				{index: index, subIndex: subIndex, token: token, parameter: parameter}, settings)
+		}
+
+		if (settings.stopAtPositional)
+			endOptions = true
+
+		return result
+	}
+
+	/**
+	 * Generates an unrecognized option, which is passed through or treated as a positional parameter.
+	 * @param {string} value    The unrecognized option, which may be the remainder of a sequence of short options with its prefix.
+	 * @param {string} token    The command-line argument that contains the unrecognized option.
+	 * @param {number} subIndex The index of the unrecognized option in the command-line argument, which extends to its end.
+	 * @returns {getopt~Result} The parsed result.
+	 * @throws {ParseError} Thrown if the unrecognized option is a positional parameter that cannot be converted.
+	 */
+	function unknown(value, token, subIndex) {
+		let result = settings.unknown === 'positional'
+			? positional(value, token, subIndex)
+			: {
+				parameter: {
+					value: value
+				},
+				index: index,
+				subIndex: subIndex,
+				settings: settings
+			}
+
+		// Locate the unrecognized option in the command-line argument, since the prefix of a remainder is added back on.
+		result.subLength = token.length - subIndex
+		result.parameter.unknown = true
+		return result
+	}
+
+	for (let arg of args) {
+		++index
+
+		if (!endOptions) {
+			let syntax = _syntaxes[settings.syntax]
+
+			// Finish processing a parsed option that is waiting for an argument.
+			if (resultAwaitingArgument) {
+				let result = resultAwaitingArgument
+				resultAwaitingArgument = null
+				if (!result.parameter.option.optional || !syntax.prefixes.includes(arg[0])) {
+					result.parameter.value = _coerce(arg,
+						result.parameter.option, formatMessage('optionTarget', {option: formAwaitingArgument}, settings),
+						{index: index, token: arg, option: result.parameter.option}, settings)
+					result.valueIndex = index
+					result.valueSubIndex = 0
+					result.valueSubLength = arg.length
+					yield result
+					continue
+				}
+
+				// Parse the argument normally if it is an option rather than the optional argument.
+				yield result
+			}
+
+			// Handle the case where we have reached the end of the options.
+			if (arg === '--') {
+				endOptions = true
+				yield {
+					parameter: {
+						terminator: true,
+						value: arg
+					},
+					index: index,
+					subIndex: 0,
+					subLength: arg.length,
+					settings: settings
+				}
+				continue
+			}
+
+			// Handle an option whose name is a whole word, as in the single-dash and Windows syntaxes.
+			if (syntax.words && syntax.prefixes.includes(arg[0]) && arg.length > 1) {
+				// Extract the option and the value from the argument.
+				let start = arg.startsWith('--') ? 2 : 1
+				let i = start
+				while (i < arg.length && !syntax.separators.includes(arg[i]))
+					++i
+				let name = arg.substring(start, i)
+				let form = arg.substring(0, i)
+				let value = i < arg.length ? arg.substring(i + 1) : undefined
+
+				// Look up the specification of the option, where '/?' is the help option in the Windows syntax, which is
+				// matched exactly rather than as an abbreviation.
+				let match = _lookup(name, tables, settings, true, {index: index, subIndex: 0, subLength: i, token: arg})
+					?? (name === '?' && tables.longOptions.has('help')
+						? {option: tables.longOptions.get('help'), negated: false, form: syntax.long + 'help'}
+						: undefined)
+				let option = match?.option
+				let negated = match?.negated
+				if (option === undefined && settings.unknown !== 'error') {
+					yield unknown(arg, arg, 0)
+					continue
+				}
+				if (option === undefined) {
+					let suggestions = _suggest(name, [...tables.longOptions.keys(), ...tables.shortOptions.keys(), ...tables.negatedOptions.keys()], settings)
+						.map(function(x) { return syntax.long + x })
+					throw new ParseError(formatMessage('unknownOption', {option: form}, settings) + _formatSuggestions(suggestions, settings), {
+						code: ParseError.UNKNOWN_OPTION,
+						index: index,
+						subIndex: 0,
+						subLength: i,
+						token: arg,
+						suggestions: suggestions
+					})
+				}
+
+				// Validate the value of the option.
+				if (value && !option.argument) {
+					throw new ParseError(formatMessage('unexpectedArgument', {option: form}, settings), {
+						code: ParseError.UNEXPECTED_ARGUMENT,
+						index: index,
+						subIndex: i + 1,
+						subLength: value.length,
+						token: arg,
+						option: option
+					})
+				}
+
+				// Generate the optional parameter.
+				let result = {
+					parameter: {
+						option: option,
+						value: option.negatable
+							? !negated
+							: value
+								? _coerce(value, option, formatMessage('optionTarget', {option: form}, settings),
+									{index: index, subIndex: i + 1, token: arg, option: option}, settings)
+								: undefined,
+						source: 'cli'
+					},
+					index: index,
+					subIndex: 0,
+					subLength: i,
+					form: match.form,
+					settings: settings
+				}
+
+				// Handle the cases where the option may expect an argument, which must be attached if it is optional.
+				if (value) {
+					result.valueIndex = index
+					result.valueSubIndex = i + 1
+					result.valueSubLength = value.length
+				}
+				else if (option.argument && !option.optional) {
+					resultAwaitingArgument = result
+					formAwaitingArgument = form
+					tokenAwaitingArgument = arg
+					continue
+				}
+
+				yield result
+				continue
+			}
+
+			if (!syntax.words && syntax.prefixes.includes(arg[0]) && arg.length > 1) {
+				if (arg.startsWith('--')) {
+					// Extract the long option and the value from the argument.
+					let i = arg.indexOf('=', 2)
+					if (i < 0)
+						i = arg.length
+					let longOption = arg.substring(2, i)
+					let value = i < arg.length ? arg.substring(i + 1) : undefined
+
+					// Look up the specification of the long option.
+					let match = _lookup(longOption, tables, settings, false, {index: index, subIndex: 0, subLength: i, token: arg})
+					let option = match?.option
+					let negated = match?.negated
+					if (option === undefined && settings.unknown !== 'error') {
+						yield unknown(arg, arg, 0)
+						continue
+					}
+					if (option === undefined) {
+						let suggestions = _suggest(longOption, [...tables.longOptions.keys(), ...tables.negatedOptions.keys()], settings)
+							.map(function(x) { return '--' + x })
+						throw new ParseError(formatMessage('unknownOption', {option: '--' + longOption}, settings) + _formatSuggestions(suggestions, settings), {
+							code: ParseError.UNKNOWN_OPTION,
+							index: index,
+							subIndex: 0,
+							subLength: i,
+							token: arg,
+							suggestions: suggestions
+						})
+					}
+
+					// Validate the value of the long option.
+					if (value) {
+						if (!option.argument) {
+							throw new ParseError(formatMessage('unexpectedArgument', {option: '--' + longOption}, settings), {
+								code: ParseError.UNEXPECTED_ARGUMENT,
+								index: index,
+								subIndex: i + 1,
+								subLength: value.length,
+								token: arg,
+								option: option
+							})
+						}
+					}
+					else if (option.argument && !option.optional) {
+						throw new ParseError(formatMessage('missingArgument', {option: '--' + longOption}, settings), {
+							code: ParseError.MISSING_ARGUMENT,
+							index: index,
+							subIndex: 0,
+							subLength: arg.length,
+							token: arg,
+							option: option
+						})
+					}
+
+					// Generate the optional parameter.
+					let result = {
+						parameter: {
+							option: option,
+							value: option.negatable
+								? !negated
+								: value
+									? _coerce(value, option, formatMessage('optionTarget', {option: '--' + longOption}, settings),
+										{index: index, subIndex: i + 1, token: arg, option: option}, settings)
+									: value,
+							source: 'cli'
+						},
+						index: index,
+						subIndex: 0,
+						subLength: i,
+						form: match.form,
+						settings: settings
+					}
+					if (value !== undefined) {
+						result.valueIndex = index
+						result.valueSubIndex = i + 1
+						result.valueSubLength = value.length
+					}
+					yield result
+				}
+				else {
+					// Handle a sequence of one or more short options, which are negated by '+' in the plus syntax.
+					let prefix = arg[0]
+					let negated = prefix === '+'
+					outer:
+					for (let i = 1; i < arg.length;) {
+						let shortOption
+						for (let j = arg.length; j > i; --j) {
+							shortOption = arg.substring(i, j)
+							let option = tables.shortOptions.get(shortOption)
+							if (option === undefined)
+								continue
+
+							// Only a flag can be negated.
+							let negatable = option.negatable
+								|| settings.syntax === 'plus' && !option.argument && option.multiple !== 'count'
+							if (negated && !negatable) {
+								throw new ParseError(formatMessage('notNegatable', {option: '-' + shortOption}, settings), {
+									code: ParseError.NOT_NEGATABLE,
+									index: index,
+									subIndex: i,
+									subLength: shortOption.length,
+									token: arg,
+									option: option
+								})
+							}
+
+							// Generate the optional parameter.
+							let result = {
+								parameter: {
+									option: option,
+									value: negatable ? !negated : undefined,
+									source: 'cli'
+								},
+								index: index,
+								subIndex: i,
+								subLength: j - i,
+								form: prefix + shortOption,
+								settings: settings
+							}
+
+							// Handle the cases where the option may expect an argument.
+							if (!option.argument)
+								yield result
+							else if (j < arg.length) {
+								result.parameter.value = _coerce(arg.substring(j), option, formatMessage('optionTarget', {option: prefix + shortOption}, settings),
+									{index: index, subIndex: j, token: arg, option: option}, settings)
+								result.valueIndex = index
+								result.valueSubIndex = j
+								result.valueSubLength = arg.length - j
+								yield result
+								j = arg.length
+							}
+							else {
+								resultAwaitingArgument = result
+								formAwaitingArgument = prefix + shortOption
+								tokenAwaitingArgument = arg
+							}
+
+							i = j
+							continue outer
+						}
+
+						// Pass the unrecognized option through with the remainder of the argument.
+						if (settings.unknown !== 'error') {
+							yield unknown(prefix + arg.substring(i), arg, i > 1 ? i : 0)
+							break
+						}
+
+						// Suggest similar short options, or a long option in case the user forgot a hyphen.
+						let suggestions = _suggest(shortOption, tables.shortOptions.keys(), settings)
+							.map(function(x) { return prefix + x })
+							.concat(_suggest(arg.substring(1), [...tables.longOptions.keys(), ...tables.negatedOptions.keys()], settings)
+								.map(function(x) { return '--' + x }))
+						throw new ParseError(formatMessage('unknownOption', {option: prefix + shortOption}, settings) + _formatSuggestions(suggestions, settings), {
+							code: ParseError.UNKNOWN_OPTION,
+							index: index,
+							subIndex: i,
+							subLength: shortOption.length,
+							token: arg,
+							suggestions: suggestions
+						})
+					}
+				}
+
+				continue
+			}
+		}
+
+		// Handle the case where the positional parameter selects a command.
+		if (!endOptions && position === 0 && tables.commands.size > 0) {
+			let command = tables.commands.get(arg)
+			if (command === undefined) {
+				let suggestions = _suggest(arg, tables.commands.keys(), settings)
+				throw new ParseError(formatMessage('unknownCommand', {command: arg}, settings) + _formatSuggestions(suggestions, settings), {
+					code: ParseError.UNKNOWN_COMMAND,
+					index: index,
+					subIndex: 0,
+					subLength: arg.length,
+					token: arg,
+					suggestions: suggestions
+				})
+			}
+
+			// Generate the command.
+			yield {
+				parameter: {
+					command: command,
+					value: arg
+				},
+				index: index,
+				subIndex: 0,
+				subLength: arg.length,
+				settings: command
+			}
+
+			// Parse the remaining arguments according to the command.
+			settings = command
+			tables = _index(settings)
+			continue
+		}
+
+		// Generate the positional parameter.
+		yield positional(arg, arg, 0)
+	}
+
+	// Finish processing a parsed option that is waiting for an argument at the end of the arguments.
+	if (resultAwaitingArgument) {
+		if (!resultAwaitingArgument.parameter.option.optional) {
+			throw new ParseError(formatMessage('missingArgument', {option: formAwaitingArgument}, settings), {
+				code: ParseError.MISSING_ARGUMENT,
+				index: resultAwaitingArgument.index,
+				subIndex: resultAwaitingArgument.subIndex,
+				subLength: resultAwaitingArgument.subLength,
+				token: tokenAwaitingArgument,
+				option: resultAwaitingArgument.parameter.option
+			})
+		}
+
+		yield resultAwaitingArgument
+	}
+}
+
+/**
+ * Builds the results from the parsed results.
+ * @param {array.<getopt~Result>} parsed The parsed results.
+ * @returns {getopt~Results} The results.
+ * @throws {ParseError} Thrown if an option is repeated and its accumulation mode is 'error'.
+ */
+function _collect(parsed) {
+	let results = {
+		sequence: parsed.map(function(result) { return result.parameter }),
+		commands: [],
+		options: {},
+		parameters: [],
+		unknown: [],
+		terminator: undefined
+	}
+
+	// Index the parameters.
+	// Collect the commands in order of nesting.
+	// Index the optional parameters by their keys.
+	// Index the positional parameters by their position and name.
+	// If there are multiple instances of the same option, then accumulate their values.
+	for (let result of parsed) {
+		let parameter = result.parameter
+		if (parameter.unknown) {
+			results.unknown.push({
+				value: parameter.value,
+				index: result.index,
+				subIndex: result.subIndex,
+				subLength: result.subLength
+			})
+			if (!('position' in parameter))
+				continue
+		}
+
+		if (parameter.terminator)
+			results.terminator = result.index
+		else if ('command' in parameter)
+			results.commands.push(parameter.command.name[0])
+		else if ('option' in parameter) {
+			let option = parameter.option
+			let keys = option.name.concat(option.short, option.long)
+			let accumulated = _accumulate(results.options[keys[0]], parameter, result)
+			for (let key of keys)
+				results.options[key] = accumulated
+		}
+		else {
+			results.parameters.push(parameter)
+
+			let spec = parameter.parameter
+			if (spec?.variadic) {
+				if (results.parameters[spec.name] === undefined)
+					results.parameters[spec.name] = []
+				results.parameters[spec.name].push(parameter)
+			}
+			else if (spec)
+				results.parameters[spec.name] = parameter
+		}
+	}
+
+	return results
+}
+
+/**
+ * Accumulates the value of an instance of an option according to the accumulation mode of the option.
+ * @param {getopt~ParsedOption} [previous] The accumulation of the previous instances of the option, if any.
+ * @param {getopt~ParsedOption} parameter  The instance of the option.
+ * @param {getopt~Result}       result     The parsed result that generated the instance.
+ * @returns {getopt~ParsedOption} The accumulation of the instances of the option.
+ * @throws {ParseError} Thrown if the option is repeated and its accumulation mode is 'error'.
+ */
+function _accumulate(previous, parameter, result) {
+	let option = parameter.option
+	if (previous === undefined)
+		return Object.assign({}, parameter, {value: _shape(parameter.value, option)})
+
+	if (option.multiple === 'error') {
+		throw new ParseError(formatMessage('repeatedOption', {option: _formatOption(option, result.settings)}, result.settings), {
+			code: ParseError.REPEATED_OPTION,
+			index: result.index,
+			subIndex: result.subIndex,
+			subLength: result.subLength,
+			option: option
+		})
+	}
+
+	if (option.multiple === 'first')
+		return previous
+	if (option.multiple === 'array')
+		return Object.assign({}, previous, {value: previous.value.concat([_flagValue(parameter.value, option)])})
+	if (option.multiple === 'count')
+		return Object.assign({}, previous, {value: previous.value + 1})
+	return Object.assign({}, parameter, {value: _flagValue(parameter.value, option)})
+}
+
+/**
+ * Shapes the value of the first instance of an option according to the accumulation mode of the option.
+ * @param {*}             value  The value.
+ * @param {getopt~Option} option The specification of the option.
+ * @returns {*} The shaped value.
+ */
+function _shape(value, option) {
+	if (option.multiple === 'count')
+		return value === undefined ? 1 : value
+	value = _flagValue(value, option)
+	if (option.multiple === 'array')
+		return Array.isArray(value) ? value : [value]
+	return value
+}
+
+/**
+ * Converts the value of an instance of a flag that is specified, which has no value, to @c true.
+ * @param {*}             value  The value.
+ * @param {getopt~Option} option The specification of the option.
+ * @returns {*} The converted value.
+ */
+function _flagValue(value, option) {
+	return !option.argument && value === undefined ? true : value
+}
+
+/**
+ * Adds the unspecified options to the results from the environment, the configuration files, and the defaults.
+ * The environment takes precedence over the configuration files, which take precedence over the defaults.
+ * @param {getopt~Results}          results The results.
+ * @param {array.<getopt~Settings>} scopes  The normalized configuration of the parser and the matched commands.
+ * @throws {ParseError} Thrown if a value is invalid.
+ */
+function _fill(results, scopes) {
+	// Read the configuration files.
+	let config = {}
+	for (let path of scopes[0].configFiles)
+		if (fs.existsSync(path))
+			config = _merge(config, readConfig(path, scopes[0]))
+
+	for (let [depth, scope] of scopes.entries()) {
+		// Look up the section of the configuration that belongs to the command.
+		let section = scopes.slice(1, depth + 1)
+			.reduce(function(section, command) { return section?.[command.name[0]] }, config)
+
+		for (let option of scope.options) {
+			if (_isSpecified(results, option))
+				continue
+
+			let parameter
+
+			// Read the option from the environment.
+			let env = _envName(option, scope)
+			if (env != null && process.env[env] != null && process.env[env].length > 0)
+				parameter = _read(process.env[env], option, formatMessage('envTarget', {name: env}, scope), 'env', scope)
+
+			// Read the option from the configuration.
+			if (parameter === undefined && _isObject(section)) {
+				let key = option.name.concat(option.long, option.short)
+					.find(function(key) { return Object.hasOwn(section, key) })
+				if (key !== undefined)
+					parameter = _read(section[key], option, formatMessage('configTarget', {key: key}, scope), 'config', scope)
+			}
+
+			// Read the default value of the option.
+			if (parameter === undefined && option.default !== undefined) {
+				parameter = {
+					option: option,
+					value: option.default,
+					source: 'default'
+				}
+			}
+
+			if (parameter) {
+				parameter.value = _shape(parameter.value, option)
+				for (let key of option.name.concat(option.short, option.long))
+					results.options[key] = parameter
+			}
+		}
+	}
+}
+
+/**
+ * Generates an optional parameter from a value that was read from the environment or a configuration file.
+ * @param {*}               value       The value.
+ * @param {getopt~Option}   option      The specification of the option.
+ * @param {string}          description A description of the location of the value, for use in the error message.
+ * @param {string}          source      The source of the value.
+ * @param {getopt~Settings} settings    The normalized configuration of the parser or command that defines the option.
+ * @returns {getopt~ParsedOption|undefined} The optional parameter, or @c undefined if the value disables a flag.
+ * @throws {ParseError} Thrown if the value is invalid.
+ */
+function _read(value, option, description, source, settings) {
+	// Handle the case where the option is a flag.
+	if (!option.argument) {
+		if (String.isString(value))
+			value = _coerce(value, {type: 'boolean'}, description, {option: option}, settings)
+		if (option.negatable)
+			return {option: option, value: Boolean(value), source: source}
+		return value
+			? {option: option, value: undefined, source: source}
+			: undefined
+	}
+
+	// Check a value that is not a string, such as a number or an object in a configuration file, as its text would be
+	// checked on the command line, and each element of an array for an option that accumulates its values into one.
+	let coerce = function(value) {
+		if (!String.isString(value) && option.type == null && option.validate == null)
+			return value
+		return _coerce(_stringifyValue(value), option, description, {option: option}, settings)
+	}
+
+	return {
+		option: option,
+		value: option.multiple === 'array' && Array.isArray(value)
+			? value.map(coerce)
+			: coerce(value),
+		source: source
+	}
+}
+
+/**
+ * Determines the name of the environment variable from which to read the value of an option.
+ * @param {getopt~Option}   option   The normalized specification of the option.
+ * @param {getopt~Settings} settings The normalized configuration of the parser.
+ * @returns {string|undefined} The name of the environment variable, or @c undefined if there is none.
+ */
+function _envName(option, settings) {
+	if (option.env != null)
+		return option.env
+	if (settings.envPrefix == null)
+		return undefined
+
+	let key = option.long[0] ?? option.name[0] ?? option.short[0]
+	return settings.envPrefix + key.toUpperCase().replace(/-/g, '_')
+}
+
+/**
+ * Merges two configurations recursively, where the second takes precedence.
+ * @param {object} a The first configuration.
+ * @param {object} b The second configuration.
+ * @returns {object} The merged configuration.
+ */
+function _merge(a, b) {
+	let result = Object.assign({}, a)
+	for (let [key, value] of Object.entries(b))
+		result[key] = _isObject(result[key]) && _isObject(value)
+			? _merge(result[key], value)
+			: value
+	return result
+}
+
+/**
+ * Determines whether a value is a plain object.
+ * @param {*} value The value.
+ * @returns {boolean} @c true if the value is a plain object; otherwise, @c false.
+ */
+function _isObject(value) {
+	return typeof value === 'object'
+		&& value !== null
+		&& !Array.isArray(value)
+}
+
+/**
+ * Determines whether a value is a text, which is a string or an object of strings indexed by locale.
+ * @param {*} value The value.
+ * @returns {boolean} @c true if the value is a text; otherwise, @c false.
+ */
+function _isText(value) {
+	return String.isString(value)
+		|| _isObject(value) && Object.values(value).every(String.isString)
+}
+
+/**
+ * Adds the options that are implied by the specified options to the results.
+ * @param {getopt~Results}          results The results.
+ * @param {array.<getopt~Settings>} scopes  The normalized configuration of the parser and the matched commands.
+ */
+function _imply(results, scopes) {
+	for (let scope of scopes) {
+		let keys = _keys(scope.options)
+
+		// Follow the implications of the specified options transitively, where a default value does not imply anything.
+		let pending = Object.values(results.options)
+			.filter(function(parameter) { return parameter.source !== 'default' })
+			.map(function(parameter) { return parameter.option })
+		while (pending.length > 0) {
+			let option = pending.shift()
+			for (let key of option.implies) {
+				let implied = keys.get(key)
+				if (implied === undefined || _isSpecified(results, implied))
+					continue
+
+				// Generate the implied option.
+				let parameter = {
+					option: implied,
+					value: _shape(undefined, implied),
+					source: 'implied'
+				}
+				for (let key of implied.name.concat(implied.short, implied.long))
+					results.options[key] = parameter
+				pending.push(implied)
+			}
+		}
+	}
+}
+
+/**
+ * Checks that the parsed results satisfy the requirements of the options and positional parameters.
+ * @param {getopt~Results}          results The results.
+ * @param {array.<getopt~Result>}   parsed  The parsed results.
+ * @param {array.<getopt~Settings>} scopes  The normalized configuration of the parser and the matched commands.
+ * @throws {ParseError} Thrown if the requirements are not satisfied.
+ */
+function _check(results, parsed, scopes) {
+	/**
+	 * Finds the location of the first instance of an option in the command-line arguments.
+	 * @param {getopt~Option} option The specification of the option.
+	 * @returns {object} The location of the option, as in {@link ParseError}.
+	 */
+	function locate(option) {
+		let result = parsed.find(function(result) { return result.parameter.option === option })
+		return result
+			? {index: result.index, subIndex: result.subIndex, subLength: result.subLength}
+			: {}
+	}
+
+	for (let scope of scopes) {
+		let keys = _keys(scope.options)
+
+		for (let option of scope.options) {
+			// Check that the required options were specified.
+			if (!_isSpecified(results, option)) {
+				if (option.required) {
+					throw new ParseError(formatMessage('missingOption', {option: _formatOption(option, scope)}, scope), {
+						code: ParseError.MISSING_OPTION,
+						option: option
+					})
+				}
+				continue
+			}
+
+			// Check that the options that are required by this option were specified.
+			for (let key of option.requires) {
+				let required = keys.get(key)
+				if (!_isSpecified(results, required)) {
+					throw new ParseError(formatMessage('requiredOption', {option: _formatOption(option, scope), required: _formatOption(required, scope)}, scope),
+						Object.assign({
+							code: ParseError.MISSING_OPTION,
+							option: required
+						}, locate(option)))
+				}
+			}
+
+			// Check that the options that conflict with this option were not specified.
+			for (let key of option.conflicts) {
+				let conflict = keys.get(key)
+				if (_isSpecified(results, conflict)) {
+					throw new ParseError(formatMessage('conflictingOption', {option: _formatOption(option, scope), conflict: _formatOption(conflict, scope)}, scope),
+						Object.assign({
+							code: ParseError.CONFLICTING_OPTIONS,
+							option: conflict
+						}, locate(conflict)))
+				}
+			}
+		}
+
+		// Check the number of options that were specified in each group.
+		for (let group of scope.groups) {
+			let options = group.options
+				.map(function(key) { return keys.get(key) })
+			let specified = options
+				.filter(function(option) { return _isSpecified(results, option) })
+
+			if (group.exclusive && specified.length > 1) {
+				throw new ParseError(formatMessage('exclusiveOptions', {option: _formatOption(specified[0], scope), other: _formatOption(specified[1], scope)}, scope),
+					Object.assign({
+						code: ParseError.CONFLICTING_OPTIONS,
+						option: specified[1]
+					}, locate(specified[1])))
+			}
+
+			if (group.required && specified.length === 0) {
+				let forms = options.map(function(option) { return '\'' + _formatOption(option, scope) + '\'' }).join(', ')
+				throw new ParseError(formatMessage('missingGroup', {options: forms}, scope), {
+					code: ParseError.MISSING_OPTION
+				})
+			}
+		}
+	}
+
+	// Check the number of positional parameters of the innermost command.
+	let innermost = scopes[scopes.length - 1]
+	let specs = innermost.parameters
+	if (specs == null)
+		return
+
+	let positionals = parsed.filter(function(result) { return 'position' in result.parameter })
+	let required = specs.filter(function(x) { return !x.optional })
+	if (positionals.length < required.length) {
+		let parameter = required[positionals.length]
+		throw new ParseError(formatMessage('missingParameter', {parameter: parameter.name}, innermost), {
+			code: ParseError.MISSING_PARAMETER,
+			parameter: parameter
+		})
+	}
+
+	let unexpected = positionals.find(function(result) { return !result.parameter.parameter })
+	if (unexpected) {
+		throw new ParseError(formatMessage('unexpectedParameter', {parameter: unexpected.parameter.value}, innermost), {
+			code: ParseError.UNEXPECTED_PARAMETER,
+			index: unexpected.index,
+			subIndex: 0,
+			subLength: unexpected.parameter.value.length,
+			token: unexpected.parameter.value
+		})
+	}
+}
+
+/**
+ * Determines whether an option was specified, which excludes an option that only has its default value.
+ * @param {getopt~Results} results The results.
+ * @param {getopt~Option}  option  The specification of the option.
+ * @returns {boolean} @c true if the option was specified; otherwise, @c false.
+ */
+function _isSpecified(results, option) {
+	return Object.values(results.options)
+		.some(function(parameter) {
+			return parameter.option === option
+				&& parameter.source !== 'default'
+		})
+}
+
+/**
+ * Indexes the options by their keys, which are their names, short forms, and long forms.
+ * @param {array.<getopt~Option>} options The normalized specification of the options.
+ * @returns {Map.<string, getopt~Option>} The options indexed by their keys.
+ */
+function _keys(options) {
+	return new Map(options
+		.flatMap(function(option) {
+			return option.name.concat(option.short, option.long)
+				.map(function(x) { return [x, option] })
+		}))
+}
+
+/**
+ * Formats the preferred form of an option for a message.
+ * @param {getopt~Option}   option   The normalized specification of the option.
+ * @param {getopt~Settings} settings The normalized configuration of the parser.
+ * @returns {string} The formatted option.
+ */
+function _formatOption(option, settings) {
+	let syntax = _syntaxes[settings.syntax]
+	return option.long.length > 0
+		? syntax.long + option.long[0]
+		: syntax.short + option.short[0]
+}
+
+/**
+ * Converts an argument to its value according to the type of the option or positional parameter.
+ * @param {string}                         value       The argument.
+ * @param {getopt~Option|getopt~Parameter} spec        The specification of the option or positional parameter.
+ * @param {string}                         description A description of the option or positional parameter, for use in the error message.
+ * @param {object}                         details     The details of the error, as in {@link ParseError}.
+ * @param {getopt~Settings}                settings    The normalized configuration of the parser, whose messages are used.
+ * @returns {*} The value.
+ * @throws {ParseError} Thrown if the argument is invalid.
+ */
+function _coerce(value, spec, description, details, settings) {
+	if (spec.type == null && spec.validate == null)
+		return value
+
+	let invalid = function(e) {
+		return new ParseError(formatMessage('invalidArgument', {value: value, target: description, reason: _reason(e, settings)}, settings),
+			Object.assign({
+				code: ParseError.INVALID_ARGUMENT,
+				subIndex: 0,
+				subLength: value.length,
+				cause: e
+			}, details))
+	}
+
+	let parser = spec.type == null
+		? function(value) { return value }
+		: typeof spec.type === 'function'
+			? spec.type
+			: _types[spec.type]
+
+	// Convert and validate the argument, which may be asynchronous.
+	let result
+	try {
+		result = _then(parser(value, spec), function(parsed) {
+			if (spec.validate == null)
+				return parsed
+			return _then(spec.validate(parsed, spec), function(valid) {
+				if (valid === false)
+					throw _invalidValue('rejected')
+				return parsed
+			})
+		})
+	}
+	catch (e) {
+		throw invalid(e)
+	}
+
+	return _isThenable(result)
+		? result.then(undefined, function(e) { throw invalid(e) })
+		: result
+}
+
+/**
+ * Creates the error of a built-in parser or validation, which carries the key and values of its message so that the
+ * message can be localized.
+ * @param {string} key      The key of the message that gives the reason why the argument is invalid.
+ * @param {object} [values] The values of the placeholders of the message.
+ * @returns {Error} The error, whose message is in English.
+ */
+function _invalidValue(key, values) {
+	return Object.assign(new Error(formatMessage(key, values)), {key: key, values: values})
+}
+
+/**
+ * Gives the reason why an argument is invalid, in the locale of the settings if the error was raised by a built-in
+ * parser or validation.
+ * @param {Error}           error    The error that was raised by the parser or validation.
+ * @param {getopt~Settings} settings The normalized configuration of the parser.
+ * @returns {string} The reason.
+ */
+function _reason(error, settings) {
+	return error.key !== undefined
+		? formatMessage(error.key, error.values, settings)
+		: error.message
+}
+
+/**
+ * Passes a value to a function, after waiting for the value if it is a promise.
+ * @param {*}        value The value or a promise of the value.
+ * @param {function} f     The function.
+ * @returns {*} The result of the function, or a promise of the result if the value is a promise.
+ */
+function _then(value, f) {
+	return _isThenable(value)
+		? value.then(f)
+		: f(value)
+}
+
+/**
+ * Determines whether a value is a promise, or another object that has a 'then' method.
+ * @param {*} value The value.
+ * @returns {boolean} @c true if the value is a promise.
+ */
+function _isThenable(value) {
+	return value != null && typeof value.then === 'function'
+}
+
+/**
+ * Looks up the specification of a positional parameter.
+ * @param {getopt~Settings} settings The normalized configuration of the parser.
+ * @param {number}          position The position of the parameter.
+ * @returns {getopt~Parameter|undefined} The specification of the parameter, or @c undefined if it is not specified.
+ */
+function _parameterAt(settings, position) {
+	if (settings.parameters == null || settings.parameters.length === 0)
+		return undefined
+
+	let last = settings.parameters[settings.parameters.length - 1]
+	return position < settings.parameters.length
+		? settings.parameters[position]
+		: last.variadic ? last : undefined
+}
+
+/**
+ * Finds the names that are similar to an unrecognized name, according to the configuration of the parser.
+ * @param {string}            name     The unrecognized name.
+ * @param {iterable.<string>} names    The recognized names.
+ * @param {getopt~Settings}   settings The normalized configuration of the parser.
+ * @returns {array.<string>} The similar names.
+ */
+function _suggest(name, names, settings) {
+	if (!settings.suggestions)
+		return []
+
+	let maxDistance = settings.suggestions === true
+		? _defaultSuggestionDistance
+		: settings.suggestions
+	return suggest(name, Array.from(names), maxDistance)
+}
+
+/**
+ * Formats the suggestions for an error message.
+ * @param {array.<string>}  suggestions The suggestions.
+ * @param {getopt~Settings} settings    The normalized configuration of the parser, whose messages are used.
+ * @returns {string} The formatted suggestions, or an empty string if there are no suggestions.
+ */
+function _formatSuggestions(suggestions, settings) {
+	if (suggestions.length === 0)
+		return ''
+
+	return ' ' + formatMessage(suggestions.length > 1 ? 'suggestions' : 'suggestion', {
+		suggestions: suggestions.map(function(x) { return '\'' + x + '\'' }).join(', ')
+	}, settings)
+}
+
+/**
+ * Indexes the commands and options of the parser.
+ * @param {getopt~Settings} settings The normalized configuration of the parser.
+ * @returns {object} The commands, short options, and long options, indexed by their names.
+ */
+function _index(settings) {
+	// Index the commands by their names.
+	let commands = new Map(settings.commands
+		.flatMap(function(command) {
+			return command.name.map(function(x) { return [x, command] })
+		}))
+
+	// Index the options by their short forms.
+	let shortOptions = new Map(settings.options
+		.flatMap(function(option) {
+			return option.short.map(function(x) { return [x, option] })
+		}))
+
+	// Index the options by their long forms.
+	let longOptions = new Map(settings.options
+		.flatMap(function(option) {
+			return option.long.map(function(x) { return [x, option] })
+		}))
+
+	// Index the negatable options by their negated long forms.
+	let negatedOptions = new Map(settings.options
+		.filter(function(option) { return option.negatable })
+		.flatMap(function(option) {
+			return option.long.map(function(x) { return ['no-' + x, option] })
+		}))
+
+	return {
+		commands: commands,
+		shortOptions: shortOptions,
+		longOptions: longOptions,
+		negatedOptions: negatedOptions
+	}
+}
+
+/**
+ * Looks up the specification of an option by its name, which is matched exactly, then case-insensitively if enabled,
+ * and then as an abbreviation of a long form if enabled.
+ * @param {string}          name                The name of the option, without its prefix.
+ * @param {object}          tables              The lookup tables of the commands and options.
+ * @param {getopt~Settings} settings            The normalized configuration of the parser.
+ * @param {boolean}         words               A value indicating whether the name is a whole word, which can also be a short form, as in the single-dash and Windows syntaxes.
+ * @param {object}          [details]           The location of the name, for use in the error if it is ambiguous.
+ * @param {number}          [details.index]     The index of the command-line argument that contains the name.
+ * @param {number}          [details.subIndex]  The index of the option in the command-line argument.
+ * @param {number}          [details.subLength] The length of the option in the command-line argument.
+ * @param {string}          [details.token]     The command-line argument that contains the name.
+ * @returns {object} The specification of the option, whether it is negated, and its canonical form, or @c undefined if the name does not match an option.
+ * @throws {ParseError} Thrown if the name matches more than one option.
+ */
+function _lookup(name, tables, settings, words, details) {
+	let syntax = _syntaxes[settings.syntax]
+
+	// Collect the forms in order of precedence.
+	let entries = Array.from(tables.longOptions, function([key, option]) {
+		return {key: key, option: option, negated: false, form: syntax.long + key}
+	})
+	if (words) {
+		entries.push(...Array.from(tables.shortOptions, function([key, option]) {
+			return {key: key, option: option, negated: false, form: syntax.short + key, short: true}
+		}))
+	}
+	entries.push(...Array.from(tables.negatedOptions, function([key, option]) {
+		return {key: key, option: option, negated: true, form: syntax.long + key}
+	}))
+
+	let fold = function(x) { return settings.caseInsensitive ? x.toLowerCase() : x }
+	let matchers = [function(entry) { return entry.key === name }]
+	if (settings.caseInsensitive)
+		matchers.push(function(entry) { return fold(entry.key) === fold(name) })
+	if (settings.abbreviations)
+		matchers.push(function(entry) { return !entry.short && fold(entry.key).startsWith(fold(name)) })
+
+	for (let matcher of matchers) {
+		// Match the forms, where the forms of the same option are not ambiguous.
+		let matches = entries.filter(matcher)
+		let distinct = matches.filter(function(entry, i) {
+			return matches.findIndex(function(x) { return x.option === entry.option && x.negated === entry.negated }) === i
+		})
+		if (distinct.length === 1 || matches.length > 0 && matcher === matchers[0])
+			return matches[0]
+
+		if (distinct.length > 1) {
+			let candidates = distinct.map(function(entry) { return entry.form })
+			let form = details.token.substring(details.subIndex, details.subIndex + details.subLength)
+			throw new ParseError(formatMessage('ambiguousOption', {
+				option: form,
+				candidates: candidates.map(function(x) { return '\'' + x + '\'' }).join(', ')
+			}, settings), Object.assign({
+					code: ParseError.AMBIGUOUS_OPTION,
+					suggestions: candidates
+				}, details))
+		}
+	}
+
+	return undefined
+}
+
+/**
+ * Validates the configuration of the parser.
+ * @param {array.<string>}  args       The command-line arguments.
+ * @param {getopt~Settings} [settings] The configuration of the parser.
+ * @throws {ArgumentError} Thrown if any of the options are invalid.
+ */
+function requireValid(args, settings) {
+	for (let err of _validate(args, settings))
+		throw new ArgumentError(err)
+}
+
+/**
+ * Validates the configuration of the parser.
+ * @param {array.<string>}  args       The command-line arguments.
+ * @param {getopt~Settings} [settings] The configuration of the parser.
+ * @yields {string} The validation errors.
  */
 function* _validate(args, settings) {
 	// Validate 'args'.
 	if (args == null)
 		yield 'args is required'
-	if (typeof args[Symbol.iterator] !== 'function')
+	else if (typeof args[Symbol.iterator] !== 'function')
 		yield 'args must be iterable'
 
-	// Validate 'settings'.
-	if (settings == null)
+	// Validate 'settings'.
+	if (settings == null)
+		return
+
+	yield* _validateSettings(settings, 'settings', 'gnu', false)
+}
+
+/**
+ * Validates the configuration of the parser or a command.
+ * @param {getopt~Settings|getopt~Command} settings        The configuration of the parser or the command.
+ * @param {string}                         path            The path of the configuration, for use in the validation errors.
+ * @param {string}                         syntax          The syntax of the options of the parent, which the configuration inherits by default.
+ * @param {boolean}                        caseInsensitive A value indicating whether the parent matches the options case-insensitively, which the configuration inherits by default.
+ * @param {Map.<string, object>}           [primaryNames]  The options of the ancestors and their paths, indexed by their primary name.
+ * @yields {string} The validation errors.
+ */
+function* _validateSettings(settings, path, syntax, caseInsensitive, primaryNames) {
+	// Validate that 'settings' is an object.
+	if (!_isObject(settings)) {
+		yield path + ' must be an object'
+		return
+	}
+
+	// Validate 'settings.abbreviations'.
+	if (settings.abbreviations != null)
+		if (typeof settings.abbreviations !== 'boolean')
+			yield path + '.abbreviations must be a boolean'
+
+	// Validate 'settings.caseInsensitive'.
+	if (settings.caseInsensitive != null) {
+		if (typeof settings.caseInsensitive !== 'boolean')
+			yield path + '.caseInsensitive must be a boolean'
+		else
+			caseInsensitive = settings.caseInsensitive
+	}
+
+	// Validate 'settings.completion'.
+	if (settings.completion != null)
+		if (typeof settings.completion !== 'boolean')
+			yield path + '.completion must be a boolean'
+
+	// Validate 'settings.configFiles'.
+	if (settings.configFiles != null)
+		if (!String.isString(settings.configFiles)
+			&& !(Array.isArray(settings.configFiles) && settings.configFiles.every(String.isString)))
+			yield path + '.configFiles must be a string or an array of strings'
+
+	// Validate 'settings.envPrefix'.
+	if (settings.envPrefix != null)
+		if (!String.isString(settings.envPrefix))
+			yield path + '.envPrefix must be a string'
+
+	// Validate 'settings.locale'.
+	if (settings.locale != null)
+		if (!String.isString(settings.locale) || settings.locale.length === 0)
+			yield path + '.locale must be a non-empty string'
+
+	// Validate 'settings.messages'.
+	if (settings.messages != null) {
+		if (!_isObject(settings.messages))
+			yield path + '.messages must be an object'
+		else for (let [key, message] of Object.entries(settings.messages)) {
+			if (!isMessage(key))
+				yield path + '.messages.' + key + ' is not a known message'
+			else if (!String.isString(message) && typeof message !== 'function')
+				yield path + '.messages.' + key + ' must be a string or a function'
+		}
+	}
+
+	// Validate 'settings.responseFiles'.
+	if (settings.responseFiles != null)
+		if (typeof settings.responseFiles !== 'boolean' && !(Number.isInteger(settings.responseFiles) && settings.responseFiles > 0))
+			yield path + '.responseFiles must be a boolean or a positive integer'
+
+	// Validate 'settings.syntax', which is inherited from the parent by default.
+	if (settings.syntax != null) {
+		if (!Object.hasOwn(_syntaxes, settings.syntax))
+			yield path + '.syntax must be one of ' + Object.keys(_syntaxes).join(', ')
+		else
+			syntax = settings.syntax
+	}
+
+	// Validate 'settings.stopAtPositional'.
+	if (settings.stopAtPositional != null)
+		if (typeof settings.stopAtPositional !== 'boolean')
+			yield path + '.stopAtPositional must be a boolean'
+
+	// Validate 'settings.unknown'.
+	if (settings.unknown != null)
+		if (!_unknownModes.includes(settings.unknown))
+			yield path + '.unknown must be one of ' + _unknownModes.join(', ')
+
+	// Validate 'settings.standardOptions'.
+	if (settings.standardOptions != null)
+		if (typeof settings.standardOptions !== 'boolean')
+			yield path + '.standardOptions must be a boolean'
+
+	// Validate 'settings.version'.
+	if (settings.version != null)
+		if (!String.isString(settings.version))
+			yield path + '.version must be a string'
+
+	// Validate 'settings.suggestions'.
+	if (settings.suggestions != null)
+		if (typeof settings.suggestions !== 'boolean' && !(settings.suggestions >= 0))
+			yield path + '.suggestions must be a boolean or a non-negative number'
+
+	// Collect the keys of the options, which are referenced by the relations and groups.
+	let options = Array.isArray(settings.options) ? settings.options.filter(_isObject) : []
+	let keys = new Set(options.flatMap(function(option) {
+		return [].concat(option.name ?? [], option.short ?? [], option.long ?? [])
+	}))
+
+	// Validate 'settings.options'.
+	if (settings.options != null) {
+		if (!Array.isArray(settings.options))
+			yield path + '.options must be an array'
+		else for (let [i, option] of settings.options.entries()) {
+			if (!_isObject(option)) {
+				yield path + '.options[' + i + '] must be an object'
+				continue
+			}
+
+			// Validate 'settings.options[i].name'.
+			if (option.name != null) {
+				if (String.isString(option.name)) {
+					if (option.name.length === 0)
+						yield path + '.options[' + i + '].name must not be an empty string'
+				}
+				else if (Array.isArray(option.name)) {
+					for (let [j, name] of option.name.entries()) {
+						// Validate 'settings.options[i].name[j]'.
+						if (!String.isString(name))
+							yield path + '.options[' + i + '].name[' + j + '] must be a string'
+						else if (name.length === 0)
+							yield path + '.options[' + i + '].name[' + j + '] must not be an empty string'
+					}
+				}
+				else
+					yield path + '.options[' + i + '].name must be a string or an array of strings'
+			}
+
+			// Validate 'settings.options[i].short'.
+			if (option.short != null) {
+				if (String.isString(option.short)) {
+					if (option.short.length === 0)
+						yield path + '.options[' + i + '].short must not be an empty string'
+					else
+						yield* _validateForm(option.short, path + '.options[' + i + '].short')
+				}
+				else if (Array.isArray(option.short)) {
+					for (let [j, short] of option.short.entries()) {
+						// Validate 'settings.options[i].short[j]'.
+						if (!String.isString(short))
+							yield path + '.options[' + i + '].short[' + j + '] must be a string'
+						else if (short.length === 0)
+							yield path + '.options[' + i + '].short[' + j + '] must not be an empty string'
+						else
+							yield* _validateForm(short, path + '.options[' + i + '].short[' + j + ']')
+					}
+				}
+				else
+					yield path + '.options[' + i + '].short must be a string or an array of strings'
+			}
+
+			// Validate 'settings.options[i].long'.
+			if (option.long != null) {
+				if (String.isString(option.long)) {
+					if (option.long.length === 0)
+						yield path + '.options[' + i + '].long must not be an empty string'
+					else
+						yield* _validateForm(option.long, path + '.options[' + i + '].long')
+				}
+				else if (Array.isArray(option.long)) {
+					for (let [j, long] of option.long.entries()) {
+						// Validate 'settings.options[i].long[j]'.
+						if (!String.isString(long))
+							yield path + '.options[' + i + '].long[' + j + '] must be a string'
+						else if (long.length === 0)
+							yield path + '.options[' + i + '].long[' + j + '] must not be an empty string'
+						else
+							yield* _validateForm(long, path + '.options[' + i + '].long[' + j + ']')
+					}
+				}
+				else
+					yield path + '.options[' + i + '].long must be a string or an array of strings'
+			}
+
+			// Validate that 'settings.options[i]' has a short or long name.
+			if ((option.short == null || option.short.length === 0) && (option.long == null || option.long.length === 0))
+				yield path + '.options[' + i + '] must have a short or long name'
+
+			// Validate 'settings.options[i].description'.
+			if (option.description != null)
+				if (!_isText(option.description))
+					yield path + '.options[' + i + '].description must be a string or an object of strings indexed by locale'
+
+			// Validate 'settings.options[i].type' and 'settings.options[i].choices'.
+			yield* _validateType(option, path + '.options[' + i + ']')
+
+			// Validate that the settings of the argument are only specified when the option expects an argument.
+			if (!option.argument)
+				for (let key of ['optional', 'type', 'choices', 'validate', 'complete'])
+					if (option[key] != null && option[key] !== false)
+						yield path + '.options[' + i + '].' + key + ' is only permitted when the option expects an argument'
+
+			// Validate 'settings.options[i].conflicts', 'settings.options[i].requires', and 'settings.options[i].implies'.
+			for (let relation of ['conflicts', 'requires', 'implies'])
+				yield* _validateKeys(option[relation], keys, path + '.options[' + i + '].' + relation)
+
+			// Validate that 'settings.options[i].implies' refers to flags, since an implied option has no argument.
+			for (let [j, reference] of [].concat(option.implies ?? []).entries()) {
+				let implied = settings.options.find(function(other) {
+					return _isObject(other) && [].concat(other.name ?? [], other.short ?? [], other.long ?? []).includes(reference)
+				})
+				if (implied?.argument)
+					yield path + '.options[' + i + '].implies' + (Array.isArray(option.implies) ? '[' + j + ']' : '')
+						+ ' must be the key of an option that does not expect an argument'
+			}
+
+			// Validate 'settings.options[i].negatable'.
+			if (option.negatable != null) {
+				if (typeof option.negatable !== 'boolean')
+					yield path + '.options[' + i + '].negatable must be a boolean'
+				else if (option.negatable) {
+					if (option.argument)
+						yield path + '.options[' + i + '] must not expect an argument because it is negatable'
+					if (option.long == null || option.long.length === 0)
+						yield path + '.options[' + i + '] must have a long name because it is negatable'
+
+					// Validate that the negated long forms do not clash with the long forms of the options.
+					for (let long of [].concat(option.long ?? [])) {
+						let j = settings.options.findIndex(function(other) {
+							return _isObject(other) && [].concat(other.long ?? []).includes('no-' + long)
+						})
+						if (j >= 0)
+							yield path + '.options[' + i + '] cannot be negated as \'--no-' + long + '\' because it clashes with ' + path + '.options[' + j + ']'
+					}
+				}
+			}
+
+			// Validate 'settings.options[i].env'.
+			if (option.env != null)
+				if (!String.isString(option.env) || option.env.length === 0)
+					yield path + '.options[' + i + '].env must be a non-empty string'
+
+			// Validate that 'settings.options[i]' has no default value if it is required, which would never be used.
+			if (option.required && option.default !== undefined)
+				yield path + '.options[' + i + '].default is not permitted when the option is required'
+
+			// Validate 'settings.options[i].multiple'.
+			if (option.multiple != null)
+				if (!_multipleModes.includes(option.multiple))
+					yield path + '.options[' + i + '].multiple must be one of ' + _multipleModes.join(', ')
+
+			// Validate 'settings.options[i].complete'.
+			if (option.complete != null)
+				if (option.complete !== 'file' && option.complete !== 'directory' && typeof option.complete !== 'function'
+					&& !(Array.isArray(option.complete) && option.complete.every(String.isString)))
+					yield path + '.options[' + i + '].complete must be \'file\', \'directory\', an array of strings, or a function'
+
+			// Validate 'settings.options[i].callback'.
+			if (option.callback != null)
+				if (typeof option.callback !== 'function')
+					yield path + '.options[' + i + '].callback must be a function'
+
+			// Validate 'settings.options[i].prompt'.
+			if (option.prompt != null && typeof option.prompt !== 'boolean') {
+				if (!_promptKinds.includes(option.prompt))
+					yield path + '.options[' + i + '].prompt must be a boolean or one of ' + _promptKinds.join(', ')
+				else if (option.prompt === 'confirm' && option.argument)
+					yield path + '.options[' + i + '].prompt cannot be \'confirm\' because the option expects an argument'
+				else if (option.prompt !== 'confirm' && !option.argument)
+					yield path + '.options[' + i + '].prompt cannot be \'' + option.prompt + '\' because the option does not expect an argument'
+				else if (option.prompt === 'choice' && option.type !== 'enum')
+					yield path + '.options[' + i + '].prompt cannot be \'choice\' because the type is not \'enum\''
+			}
+		}
+	}
+
+	// Validate 'settings.groups'.
+	if (settings.groups != null) {
+		if (!Array.isArray(settings.groups))
+			yield path + '.groups must be an array'
+		else for (let [i, group] of settings.groups.entries()) {
+			if (!_isObject(group)) {
+				yield path + '.groups[' + i + '] must be an object'
+				continue
+			}
+
+			// Validate 'settings.groups[i].options'.
+			if (group.options == null)
+				yield path + '.groups[' + i + '].options is required'
+			else
+				yield* _validateKeys(group.options, keys, path + '.groups[' + i + '].options')
+
+			// Validate 'settings.groups[i].title'.
+			if (group.title != null)
+				if (!String.isString(group.title))
+					yield path + '.groups[' + i + '].title must be a string'
+		}
+	}
+
+	// Validate 'settings.parameters'.
+	if (settings.parameters != null) {
+		if (!Array.isArray(settings.parameters))
+			yield path + '.parameters must be an array'
+		else for (let [i, parameter] of settings.parameters.entries()) {
+			if (!_isObject(parameter)) {
+				yield path + '.parameters[' + i + '] must be an object'
+				continue
+			}
+
+			// Validate 'settings.parameters[i].name'.
+			if (!String.isString(parameter.name))
+				yield path + '.parameters[' + i + '].name must be a string'
+			else if (parameter.name.length === 0)
+				yield path + '.parameters[' + i + '].name must not be an empty string'
+			else if (parameter.name in [])
+				yield path + '.parameters[' + i + '].name must not be a property of an array'
+
+			// Validate 'settings.parameters[i].description'.
+			if (parameter.description != null)
+				if (!_isText(parameter.description))
+					yield path + '.parameters[' + i + '].description must be a string or an object of strings indexed by locale'
+
+			// Validate 'settings.parameters[i].optional'.
+			if (!parameter.optional && settings.parameters.slice(0, i).some(function(x) { return x?.optional }))
+				yield path + '.parameters[' + i + '] must be optional because it follows an optional parameter'
+
+			// Validate 'settings.parameters[i].variadic'.
+			if (parameter.variadic && i < settings.parameters.length - 1)
+				yield path + '.parameters[' + i + '] must be the last parameter because it is variadic'
+
+			// Validate 'settings.parameters[i].type' and 'settings.parameters[i].choices'.
+			yield* _validateType(parameter, path + '.parameters[' + i + ']')
+		}
+	}
+
+	// Validate that the options that repeat the primary name of an option of an ancestor agree with it on the kind of
+	// their value, since the options of the parser and the matched commands share the plain values of the results.
+	primaryNames = new Map(primaryNames)
+	if (Array.isArray(settings.options)) {
+		let own = new Map()
+		for (let [i, option] of settings.options.entries()) {
+			if (!_isObject(option))
+				continue
+
+			let name = primaryName({
+				name: [].concat(option.name ?? []),
+				long: [].concat(option.long ?? []),
+				short: [].concat(option.short ?? [])
+			})
+			if (!String.isString(name))
+				continue
+
+			let other = primaryNames.get(name)
+			if (other !== undefined && (Boolean(option.argument) !== Boolean(other.option.argument)
+				|| Boolean(option.optional) !== Boolean(other.option.optional)
+				|| (option.multiple ?? _defaultOption.multiple) !== (other.option.multiple ?? _defaultOption.multiple)))
+				yield path + '.options[' + i + '] must agree with ' + other.path + ' on its argument, optional, and multiple because they share the primary name \'' + name + '\''
+			own.set(name, {option: option, path: path + '.options[' + i + ']'})
+		}
+		for (let [name, other] of own)
+			primaryNames.set(name, other)
+	}
+
+	// Validate 'settings.commands'.
+	if (settings.commands != null) {
+		if (!Array.isArray(settings.commands))
+			yield path + '.commands must be an array'
+		else for (let [i, command] of settings.commands.entries()) {
+			if (!_isObject(command)) {
+				yield path + '.commands[' + i + '] must be an object'
+				continue
+			}
+
+			// Validate 'settings.commands[i].name'.
+			if (command.name == null)
+				yield path + '.commands[' + i + '].name is required'
+			else if (String.isString(command.name)) {
+				if (command.name.length === 0)
+					yield path + '.commands[' + i + '].name must not be an empty string'
+			}
+			else if (Array.isArray(command.name)) {
+				if (command.name.length === 0)
+					yield path + '.commands[' + i + '].name must not be an empty array'
+				for (let [j, name] of command.name.entries()) {
+					// Validate 'settings.commands[i].name[j]'.
+					if (!String.isString(name))
+						yield path + '.commands[' + i + '].name[' + j + '] must be a string'
+					else if (name.length === 0)
+						yield path + '.commands[' + i + '].name[' + j + '] must not be an empty string'
+				}
+			}
+			else
+				yield path + '.commands[' + i + '].name must be a string or an array of strings'
+
+			// Validate 'settings.commands[i].description'.
+			if (command.description != null)
+				if (!_isText(command.description))
+					yield path + '.commands[' + i + '].description must be a string or an object of strings indexed by locale'
+
+			// Validate 'settings.commands[i].callback'.
+			if (command.callback != null)
+				if (typeof command.callback !== 'function')
+					yield path + '.commands[' + i + '].callback must be a function'
+
+			// Validate the options and subcommands of 'settings.commands[i]'.
+			yield* _validateSettings(command, path + '.commands[' + i + ']', syntax, caseInsensitive, primaryNames)
+		}
+	}
+
+	// Validate that the forms of the options and the names of the commands are unique and reachable.
+	yield* _validateReachability(settings, path, syntax, caseInsensitive)
+}
+
+/**
+ * Validates the references to other options.
+ * @param {array.<string>|string} references The key(s) of the referenced options.
+ * @param {Set.<string>}          keys       The keys of the options.
+ * @param {string}                path       The path of the references, for use in the validation errors.
+ * @yields {string} The validation errors.
+ */
+function* _validateKeys(references, keys, path) {
+	if (references == null)
 		return
 
-	// Validate 'settings.options'.
-	if (settings.options != null) {
-		if (!Array.isArray(settings.options))
-			yield 'settings.options must be an array'
+	if (String.isString(references)) {
+		if (!keys.has(references))
+			yield path + ' must be the key of an option'
+	}
+	else if (Array.isArray(references)) {
+		for (let [j, reference] of references.entries())
+			if (!keys.has(reference))
+				yield path + '[' + j + '] must be the key of an option'
+	}
+	else
+		yield path + ' must be a string or an array of strings'
+}
 
+/**
+ * Validates the characters of a short or long form of an option.
+ * @param {string} form The form of the option.
+ * @param {string} path The path of the form, for use in the validation errors.
+ * @yields {string} The validation errors.
+ */
+function* _validateForm(form, path) {
+	if (/[=\s]/.test(form))
+		yield path + ' must not contain \'=\' or whitespace'
+	if (form.startsWith('-'))
+		yield path + ' must not begin with \'-\''
+}
+
+/**
+ * Validates that the forms of the options and the names of the commands are unique and reachable.
+ * @param {getopt~Settings|getopt~Command} settings        The configuration of the parser or the command.
+ * @param {string}                         path            The path of the configuration, for use in the validation errors.
+ * @param {string}                         syntax          The syntax of the options.
+ * @param {boolean}                        caseInsensitive A value indicating whether the options are matched case-insensitively.
+ * @yields {string} The validation errors.
+ */
+function* _validateReachability(settings, path, syntax, caseInsensitive) {
+	let words = _syntaxes[syntax].words
+
+	// Index the short and long forms of the options by their text, as it is matched by the parser, and as it is a key
+	// of the results.
+	let forms = {short: new Map(), long: new Map()}
+	let keys = new Map()
+	if (Array.isArray(settings.options)) {
 		for (let [i, option] of settings.options.entries()) {
-			// Validate 'settings.options[i].name'.
-			if (option.name != null) {
-				if (String.isString(option.name)) {
-					if (option.name.length === 0)
-						yield 'settings.options[' + i + '].name must not be an empty string'
-				}
-				else if (Array.isArray(option.name)) {
-					for (let [j, name] of option.name.entries()) {
-						// Validate 'settings.options[i].name[j]'.
-						if (!String.isString(name))
-							yield 'settings.options[' + i + '].name[' + j + '] must be a string'
-						if (name.length === 0)
-							yield 'settings.options[' + i + '].name[' + j + '] must not be an empty string'
-					}
+			if (!_isObject(option))
+				continue
+
+			for (let kind of ['short', 'long']) {
+				for (let [j, form] of [].concat(option[kind] ?? []).entries()) {
+					if (!String.isString(form) || form.length === 0)
+						continue
+
+					let formPath = path + '.options[' + i + '].' + kind + (Array.isArray(option[kind]) ? '[' + j + ']' : '')
+					if (!keys.has(form))
+						keys.set(form, {option: option, path: formPath})
+					let key = caseInsensitive && (kind === 'long' || words) ? form.toLowerCase() : form
+					let other = forms[kind].get(key)
+					if (other !== undefined)
+						yield formPath + ' \'' + form + '\' clashes with ' + other.path
+					else
+						forms[kind].set(key, {option: option, path: formPath})
 				}
-				else
-					yield 'settings.options[' + i + '].name must be a string or an array of strings'
 			}
+		}
+	}
 
-			// Validate 'settings.options[i].short'.
-			if (option.short != null) {
-				if (String.isString(option.short)) {
-					if (option.short.length === 0)
-						yield 'settings.options[' + i + '].short must not be an empty string'
-				}
-				else if (Array.isArray(option.short)) {
-					for (let [j, short] of option.short.entries()) {
-						// Validate 'settings.options[i].short[j]'.
-						if (!String.isString(short))
-							yield 'settings.options[' + i + '].short[' + j + '] must be a string'
-						if (short.length === 0)
-							yield 'settings.options[' + i + '].short[' + j + '] must not be an empty string'
-					}
-				}
+	// Validate that the names of the options are unique and do not clash with the forms of the other options, since
+	// they are all keys of the results and of the references between the options.
+	if (Array.isArray(settings.options)) {
+		let names = new Map()
+		for (let [i, option] of settings.options.entries()) {
+			if (!_isObject(option))
+				continue
+
+			for (let [j, name] of [].concat(option.name ?? []).entries()) {
+				if (!String.isString(name) || name.length === 0)
+					continue
+
+				let namePath = path + '.options[' + i + '].name' + (Array.isArray(option.name) ? '[' + j + ']' : '')
+				let other = names.get(name)
+					?? (keys.get(name)?.option !== option ? keys.get(name) : undefined)
+				if (other !== undefined)
+					yield namePath + ' \'' + name + '\' clashes with ' + other.path
 				else
-					yield 'settings.options[' + i + '].short must be a string or an array of strings'
+					names.set(name, {option: option, path: namePath})
 			}
+		}
+	}
 
-			// Validate 'settings.options[i].long'.
-			if (option.long != null) {
-				if (String.isString(option.long)) {
-					if (option.long.length === 0)
-						yield 'settings.options[' + i + '].long must not be an empty string'
-				}
-				else if (Array.isArray(option.long)) {
-					for (let [j, long] of option.long.entries()) {
-						// Validate 'settings.options[i].long[j]'.
-						if (!String.isString(long))
-							yield 'settings.options[' + i + '].long[' + j + '] must be a string'
-						if (long.length === 0)
-							yield 'settings.options[' + i + '].long[' + j + '] must not be an empty string'
-					}
+	if (words) {
+		// Validate that the short forms are not shadowed by the long forms, which are matched first.
+		for (let [form, short] of forms.short) {
+			let long = forms.long.get(form)
+			if (long !== undefined && long.option !== short.option)
+				yield short.path + ' \'' + form + '\' is unreachable because it is shadowed by ' + long.path
+		}
+	}
+	else {
+		// Validate that the multi-character short forms do not shadow a sequence of short options, since the longest
+		// short form is matched first.
+		for (let [form, short] of forms.short) {
+			for (let i = form.length - 1; i > 0; --i) {
+				let first = forms.short.get(form.substring(0, i))
+				if (first === undefined || first.option.argument)
+					continue
+
+				let sequence = _segment(form.substring(i), forms.short)
+				if (sequence !== null) {
+					yield short.path + ' \'' + form + '\' makes the sequence of short options '
+						+ [form.substring(0, i)].concat(sequence).map(function(x) { return '\'' + x + '\'' }).join(', ')
+						+ ' unreachable'
+					break
 				}
-				else
-					yield 'settings.options[' + i + '].long must be a string or an array of strings'
 			}
+		}
+	}
 
-			// Validate that 'settings.options[i]' has a short or long name.
-			if ((option.short == null || option.short.length === 0) && (option.long == null || option.long.length === 0))
-				yield 'settings.options[' + i + '] must have a short or long name'
+	// Validate that the names of the commands are unique.
+	if (Array.isArray(settings.commands)) {
+		let names = new Map()
+		for (let [i, command] of settings.commands.entries()) {
+			if (!_isObject(command))
+				continue
 
-			// Validate 'option.options[i].description'.
-			if (option.description != null)
-				if (!String.isString(option.description))
-					yield 'settings.options[' + i + '].description must be a string'
+			for (let [j, name] of [].concat(command.name ?? []).entries()) {
+				let namePath = path + '.commands[' + i + '].name' + (Array.isArray(command.name) ? '[' + j + ']' : '')
+				if (names.has(name))
+					yield namePath + ' \'' + name + '\' clashes with ' + names.get(name)
+				else
+					names.set(name, namePath)
+			}
+		}
+	}
+}
 
-			// Validate 'settings.options[i].callback'.
-			if (option.callback != null)
-				if (typeof option.callback !== 'function')
-					yield 'settings.options[' + i + '].callback must be a function'
+/**
+ * Splits the remainder of a sequence of short options into short forms in the same way as the parser, which matches
+ * the longest short form first.
+ * @param {string}               text  The remainder of the sequence of short options.
+ * @param {Map.<string, object>} forms The short forms, each having its option.
+ * @returns {array.<string>} The short forms, or @c null if the text cannot be split into short forms.
+ */
+function _segment(text, forms) {
+	let sequence = []
+	for (let i = 0; i < text.length;) {
+		let j = text.length
+		while (j > i && !forms.has(text.substring(i, j)))
+			--j
+		if (j === i)
+			return null
+
+		let form = text.substring(i, j)
+		sequence.push(form)
+
+		// The remainder is the argument of an option that expects one.
+		if (forms.get(form).option.argument)
+			break
+		i = j
+	}
+	return sequence
+}
+
+/**
+ * Validates the type and the validator of an option or positional parameter.
+ * @param {getopt~Option|getopt~Parameter} spec The specification of the option or positional parameter.
+ * @param {string}                         path The path of the specification, for use in the validation errors.
+ * @yields {string} The validation errors.
+ */
+function* _validateType(spec, path) {
+	// Validate 'spec.type'.
+	if (spec.type != null)
+		if (typeof spec.type !== 'function' && !Object.hasOwn(_types, spec.type))
+			yield path + '.type must be a function or one of ' + Object.keys(_types).join(', ')
+
+	// Validate 'spec.choices'.
+	if (spec.choices != null) {
+		if (Array.isArray(spec.choices)) {
+			for (let [j, choice] of spec.choices.entries())
+				if (!String.isString(choice))
+					yield path + '.choices[' + j + '] must be a string'
 		}
+		else
+			yield path + '.choices must be an array of strings'
 	}
+	else if (spec.type === 'enum')
+		yield path + '.choices is required when the type is enum'
+
+	// Validate 'spec.validate'.
+	if (spec.validate != null)
+		if (typeof spec.validate !== 'function')
+			yield path + '.validate must be a function'
 }
 
 /**
  * Normalizes the configuration of the parser by applying the defaults.
- * @param {getopt~Settings} [settings] The configuration of the parser.
+ * @param {getopt~Settings|getopt~Command} [settings] The configuration of the parser or a command.
+ * @param {getopt~Settings}                [parent]   The normalized configuration of the parent, if normalizing a command.
  * @returns {getopt~Settings} The normalized configuration.
  */
-function _normalize(settings) {
-	settings = Object.assign({}, _defaultSettings, settings)
+function _normalize(settings, parent) {
+	// Inherit the settings of the parent.
+	let inherited = {}
+	if (parent)
+		for (let key of _inheritedSettings)
+			if (parent[key] !== undefined)
+				inherited[key] = parent[key]
+
+	settings = Object.assign({}, _defaultSettings, inherited, settings)
+
+	// Stop at the first positional parameter by default if the environment requests POSIX behaviour.
+	if (settings.stopAtPositional == null)
+		settings.stopAtPositional = process.env.POSIXLY_CORRECT !== undefined
 
 	settings.options = settings.options
 		.map(function(option) {
 			option = Object.assign({}, _defaultOption, option)
+			option.description = localize(option.description, settings.locale)
 			if (!Array.isArray(option.name))
 				option.name = option.name != null ? [option.name] : []
 			if (!Array.isArray(option.short))
 				option.short = option.short != null ? [option.short] : []
 			if (!Array.isArray(option.long))
 				option.long = option.long != null ? [option.long] : []
+			if (!Array.isArray(option.conflicts))
+				option.conflicts = option.conflicts != null ? [option.conflicts] : []
+			if (!Array.isArray(option.requires))
+				option.requires = option.requires != null ? [option.requires] : []
+			if (!Array.isArray(option.implies))
+				option.implies = option.implies != null ? [option.implies] : []
 			return option
 		})
 
+	// Add the standard options.
+	if (settings.standardOptions) {
+		settings.options = settings.options.concat(standardOptions(settings.options, settings, {usage: usage, version: version})
+			.map(function(option) {
+				return Object.assign({}, _defaultOption, option, {
+					name: [],
+					conflicts: [],
+					requires: [],
+					implies: []
+				})
+			}))
+	}
+
+	// Replace a configuration file with an array of configuration files.
+	if (!Array.isArray(settings.configFiles))
+		settings.configFiles = settings.configFiles != null ? [settings.configFiles] : []
+
+	settings.groups = settings.groups
+		.map(function(group) {
+			group = Object.assign({}, _defaultGroup, group)
+			if (!Array.isArray(group.options))
+				group.options = [group.options]
+			return group
+		})
+
+	if (settings.parameters != null) {
+		settings.parameters = settings.parameters
+			.map(function(parameter) {
+				parameter = Object.assign({}, _defaultParameter, parameter)
+				parameter.description = localize(parameter.description, settings.locale)
+				return parameter
+			})
+	}
+
 	// Replace a usage string with a usage object.
 	if (String.isString(settings.usage)) {
 		settings.usage = {
@@ -468,122 +2955,501 @@ function _normalize(settings) {
 		}
 	}
 
+	// Qualify the program name of a command with the name of its parent, and resolve its description in its locale.
+	if (parent) {
+		settings.description = localize(settings.description, settings.locale)
+		if (!Array.isArray(settings.name))
+			settings.name = [settings.name]
+		if (settings.usage?.program == null) {
+			settings.usage = Object.assign({}, settings.usage, {
+				program: _program(parent) + ' ' + settings.name[0]
+			})
+		}
+	}
+
 	// Replace a boolean wrap with a wrap width.
 	settings.wrap = settings.wrap !== true
 		? +settings.wrap
 		: process.stdout.columns
 		?? _defaultWrapWidth
 
+	settings.commands = settings.commands
+		.map(function(command) {
+			return _normalize(command, settings)
+		})
+
+	return settings
+}
+
+/**
+ * Determines the executable name of the calling program.
+ * @param {getopt~Settings} settings The normalized configuration of the parser.
+ * @returns {string} The executable name.
+ */
+function _program(settings) {
+	return settings.usage?.program
+		?? path.basename(process.argv[1]).split('.', 1)[0]
+}
+
+/**
+ * Generates a script that completes the command-line arguments of the calling program in a shell.
+ * The script calls the program to generate the candidates for the options whose completion is a function, which
+ * {@link getopt} reports by throwing a {@link CompletionRequest} if 'settings.completion' is enabled.
+ * @param {getopt~Settings} settings The configuration of the parser.
+ * @param {string}          shell    The shell, which is 'bash', 'fish', or 'zsh'.
+ * @returns {string} The completion script.
+ * @throws {ArgumentError} Thrown if any of the options are invalid, if the shell is not supported, or if the parser or a command does not use the GNU syntax.
+ */
+export function completion(settings, shell) {
+	requireValid([], settings)
+	if (!shells.includes(shell))
+		throw new ArgumentError('shell must be one of ' + shells.join(', '))
+	settings = _normalize(settings)
+	_requireCompletable(settings, 'settings')
+
+	return generateCompletion(settings, shell, _program(settings))
+}
+
+/**
+ * Requires the parser and its commands to use the GNU syntax, which is the only one whose forms the completion scripts
+ * recognize.
+ * @param {getopt~Settings|getopt~Command} settings The normalized configuration of the parser or a command.
+ * @param {string}                         path     The path of the configuration, for use in the error message.
+ * @throws {ArgumentError} Thrown if the parser or a command uses another syntax.
+ */
+function _requireCompletable(settings, path) {
+	if (settings.syntax !== 'gnu')
+		throw new ArgumentError(path + '.syntax must be gnu to complete the arguments')
+	for (let [i, command] of settings.commands.entries())
+		_requireCompletable(command, path + '.commands[' + i + ']')
+}
+
+/**
+ * Generates the candidates to complete the argument of an option, as requested by a completion script.
+ * @param {array.<string>}  args     The arguments of the request, which are the program name followed by the names of the commands, the form of the option, and the portion of the argument that has been typed.
+ * @param {getopt~Settings} settings The configuration of the parser.
+ * @returns {array.<string>} The candidates.
+ * @throws {ArgumentError} Thrown if any of the options are invalid, or if the parser or a command does not use the GNU syntax.
+ */
+export function complete(args, settings) {
+	requireValid(args, settings)
+	settings = _normalize(settings)
+	_requireCompletable(settings, 'settings')
+
+	let [scope, form, partial = ''] = args
+	if (scope == null || form == null)
+		return []
+
+	// Look up the command.
+	for (let name of scope.split(' ').slice(1)) {
+		settings = settings.commands.find(function(command) { return command.name.includes(name) })
+		if (settings === undefined)
+			return []
+	}
+
+	// Look up the option.
+	let option = settings.options.find(function(option) {
+		return form.startsWith('--')
+			? option.long.includes(form.substring(2))
+			: option.short.includes(form.substring(1))
+	})
+	if (typeof option?.complete !== 'function')
+		return []
+
+	// Remove the option from the partial argument if they were not separated.
+	if (partial.startsWith(form + '='))
+		partial = partial.substring(form.length + 1)
+
+	return Array.from(option.complete(partial, option))
+}
+
+/**
+ * Validates the configuration of the parser, which {@link getopt} does automatically, and reports every problem rather
+ * than throwing an error for the first one.
+ * @param {getopt~Settings} settings The configuration of the parser.
+ * @returns {array.<string>} The problems, which is empty if the configuration is valid.
+ */
+export function validate(settings) {
+	return settings != null
+		? Array.from(_validateSettings(settings, 'settings', 'gnu', false))
+		: []
+}
+
+/**
+ * Defines the configuration of the parser, which is validated and returned unchanged, so that TypeScript can infer the
+ * types of the results of {@link getopt} from the literal types of the specification.
+ * @param {getopt~Settings} settings The configuration of the parser.
+ * @returns {getopt~Settings} The configuration of the parser.
+ * @throws {ArgumentError} Thrown if any of the options are invalid.
+ */
+export function defineOptions(settings) {
+	requireValid([], settings)
 	return settings
 }
 
+/**
+ * Splits a command line into command-line arguments according to the quoting rules of a POSIX shell, which are single
+ * and double quotes, backslash escapes, and comments, without any expansion.
+ * @param {string} commandLine The command line.
+ * @returns {array.<string>} The command-line arguments.
+ * @throws {ArgumentError} Thrown if the command line is not a string, or if it contains an unterminated quote.
+ */
+export function split(commandLine) {
+	if (!String.isString(commandLine))
+		throw new ArgumentError('commandLine must be a string')
+
+	try {
+		return tokenize(commandLine).map(function(word) { return word.value })
+	}
+	catch (e) {
+		throw new ArgumentError(e.message)
+	}
+}
+
+/**
+ * Converts the results back to a command line, which is quoted for a POSIX shell.
+ * The options are written in their canonical form, which is their first long form if any, or otherwise their first short
+ * form, and only the parameters that were specified on the command line are written.
+ * @param {getopt~Results}  results    The results of {@link getopt}.
+ * @param {getopt~Settings} [settings] The configuration of the parser that produced the results.
+ * @returns {string} The command line.
+ * @throws {ArgumentError} Thrown if any of the options are invalid, or if the results are invalid.
+ */
+export function stringify(results, settings) {
+	requireValid([], settings)
+	if (!Array.isArray(results?.sequence))
+		throw new ArgumentError('results must be the results of getopt')
+	settings = _normalize(settings)
+
+	let syntax = _syntaxes[settings.syntax]
+	let args = []
+	for (let parameter of results.sequence) {
+		// Write the command, whose syntax applies to the following options.
+		if ('command' in parameter) {
+			args.push(parameter.command.name[0])
+			syntax = _syntaxes[parameter.command.syntax]
+		}
+
+		// Write the option in its canonical form.
+		else if ('option' in parameter)
+			args.push(..._stringifyOption(parameter, syntax))
+
+		// Write the terminator, the positional parameter, or the unrecognized option.
+		else
+			args.push(_stringifyValue(parameter.value))
+	}
+
+	return args.map(quote).join(' ')
+}
+
+/**
+ * Converts an instance of an option back to command-line arguments in its canonical form.
+ * @param {getopt~ParsedOption} parameter The instance of the option.
+ * @param {object}              syntax    The syntax of the options.
+ * @returns {array.<string>} The command-line arguments.
+ */
+function _stringifyOption(parameter, syntax) {
+	let option = parameter.option
+	let isLong = option.long.length > 0
+	let name = isLong ? option.long[0] : option.short[0]
+	let prefix = isLong ? syntax.long : syntax.short
+
+	// Write a flag, which may be negated.
+	if (!option.argument || parameter.value === undefined) {
+		if (parameter.value !== false || option.argument)
+			return [prefix + name]
+		return option.negatable
+			? [prefix + 'no-' + name]
+			: ['+' + option.short[0]]
+	}
+
+	// Write an option and its argument.
+	let value = _stringifyValue(parameter.value)
+	if (isLong || syntax.words)
+		return [prefix + name + syntax.separators[0] + value]
+	return option.optional
+		? [prefix + name + value]
+		: [prefix + name, value]
+}
+
+/**
+ * Converts a parsed value back to a command-line argument.
+ * @param {*} value The parsed value.
+ * @returns {string} The command-line argument.
+ */
+function _stringifyValue(value) {
+	if (String.isString(value))
+		return value
+	if (typeof value === 'object' && value !== null)
+		return JSON.stringify(value)
+	return String(value)
+}
+
+/**
+ * Formats the usage information.
+ * @param {getopt~Settings} [settings]             The configuration of the parser.
+ * @param {object}          [options]              The formatting options.
+ * @param {string|function} [options.format=plain] The format, which is 'plain', 'ansi' for text styled by ANSI escape sequences, 'markdown', or 'man' for a roff man page, or a function that renders a {@link getopt~UsageDocument} with the normalized settings.
+ * @returns {string} The usage information.
+ * @throws {ArgumentError} Thrown if any of the options are invalid, or if the format is not supported.
+ */
+export function formatUsage(settings, options) {
+	requireValid([], settings)
+	let format = options?.format ?? 'plain'
+	if (typeof format !== 'function' && !formats.includes(format))
+		throw new ArgumentError('format must be one of ' + formats.join(', ') + ', or a function')
+	settings = _normalize(settings)
+
+	let document = _describeUsage(settings)
+	return typeof format === 'function'
+		? format(document, settings)
+		: renderUsage(document, format, settings)
+}
+
 /**
  * Displays the usage information and exits.
- * @param {getopt~Settings} [settings] The configuration of the parser.
+ * This function can also be used as the callback of an option, in which case it uses the default options.
+ * @param {getopt~Settings} [settings]           The configuration of the parser.
+ * @param {object}          [options]            The options, which also include those of {@link formatUsage}.
+ * @param {stream.Writable} [options.stream]     The stream to which to write the usage information, which is the standard output by default.
+ * @param {boolean}         [options.exit=true]  A value indicating whether to exit after writing the usage information.
+ * @param {number}          [options.exitCode=0] The exit code.
  */
-export function usage(settings) {
+export function usage(settings, options) {
 	// Allow this function to be used as the callback of an option.
-	let args = []
 	if (arguments.length === 3) {
-		args = arguments[1]
 		settings = arguments[2]
+		options = undefined
 	}
 
-	// Normalize the settings in case this function was called by the application.
-	requireValid(args, settings)
-	settings = _normalize(settings)
+	let stream = options?.stream ?? process.stdout
+	stream.write(formatUsage(settings, options))
 
-	// Write the usage header.
-	if (settings.usage?.header) {
-		// Wrap the text on word boundaries.
-		let header = settings.usage.header
-		if (settings.wrap) {
-			header = header.match(/^\s*/)
-				+ wordWrap(header, {
-					indent: '',
-					width: settings.wrap - 1
-				})
-				+ header.match(/\s*$/)
-		}
+	if (options?.exit ?? true)
+		process.exit(options?.exitCode ?? 0)
+}
 
-		process.stdout.write(header)
+/**
+ * Displays the version information and exits.
+ * This function can also be used as the callback of an option, in which case it uses the default options.
+ * @param {getopt~Settings} [settings]           The configuration of the parser.
+ * @param {object}          [options]            The options.
+ * @param {stream.Writable} [options.stream]     The stream to which to write the version information, which is the standard output by default.
+ * @param {boolean}         [options.exit=true]  A value indicating whether to exit after writing the version information.
+ * @param {number}          [options.exitCode=0] The exit code.
+ * @throws {ArgumentError} Thrown if any of the options are invalid, or if the version is not defined.
+ */
+export function version(settings, options) {
+	// Allow this function to be used as the callback of an option.
+	if (arguments.length === 3) {
+		settings = arguments[2]
+		options = undefined
 	}
 
-	// Write the usage specification.
-	const program = settings.usage?.program
-		?? path.basename(process.argv[1]).split('.', 1)[0]
-	process.stdout.write('Usage: ' + program)
-	if (settings.usage?.spec)
-		process.stdout.write(' ' + settings.usage.spec)
-	process.stdout.write('\n')
+	requireValid([], settings)
+	settings = _normalize(settings)
+	if (settings.version == null)
+		throw new ArgumentError('settings.version is required')
+
+	let stream = options?.stream ?? process.stdout
+	stream.write(_program(settings) + ' ' + settings.version + '\n')
 
-	// Write the options.
-	if (settings.options && settings.options.length > 0) {
-		process.stdout.write('Options:\n')
+	if (options?.exit ?? true)
+		process.exit(options?.exitCode ?? 0)
+}
+
+/**
+ * Describes the content of the usage documentation.
+ * @param {getopt~Settings} settings The normalized configuration of the parser.
+ * @returns {getopt~UsageDocument} The content of the usage documentation.
+ */
+function _describeUsage(settings) {
+	let sections = []
+	let syntax = _syntaxes[settings.syntax]
 
+	// Describe the options.
+	if (settings.options.length > 0) {
 		// Build the specification and description of each option.
-		let options = settings.options
+		let options = new Map(settings.options
 			.map(function(option) {
 				let spec = []
 					.concat(
 						option.short
 							.slice(0, settings.first ? 1 : Number.MAX_SAFE_INTEGER)
-							.map(function(x) { return '-' + x }),
+							.map(function(x) { return syntax.short + x }),
 						option.long
 							.slice(0, settings.first ? 1 : Number.MAX_SAFE_INTEGER)
-							.map(function(x) { return '--' + x }))
+							.map(function(x) { return syntax.long + (option.negatable ? '[no-]' : '') + x }))
 					.join(' ')
 
+				// Separate the argument as it would be on the command line.
 				if (option.argument)
-					spec += (option.long.length > 0 ? '=' : ' ')
+					spec += (option.long.length > 0 || syntax.words ? syntax.separator : ' ')
 						+ (option.optional ? '[' : '<')
-						+ option.argument
+						+ _formatArgument(option, settings)
 						+ (option.optional ? ']' : '>')
 
-				return {
+				// Mention the environment variable from which the option can be read.
+				let description = option.description
+				let env = _envName(option, settings)
+				if (env != null)
+					description += (description ? ' ' : '') + formatMessage('envNote', {name: env}, settings)
+
+				// Mention the default value of the option.
+				if (option.default !== undefined)
+					description += (description ? ' ' : '') + formatMessage('defaultNote', {value: _formatValue(option.default)}, settings)
+
+				return [option, {
 					spec: spec,
-					description: option.description
+					description: description
+				}]
+			}))
+
+		// Resolve the options of each group.
+		let keys = _keys(settings.options)
+		let groups = settings.groups
+			.map(function(group) {
+				return {
+					group: group,
+					options: group.options.map(function(key) { return keys.get(key) })
 				}
 			})
 
-		// Calculate the maximum length of the options.
-		let specLength = Math.max(...options.map(function(x) { return x.spec.length }))
-		let descriptionLength = Math.max(...options.map(function(x) { return x.description.length }))
-
-		// Write the options.
-		for (let option of options) {
-			// Wrap the description on word boundaries.
-			let description = option.description
-			if (settings.wrap && specLength + descriptionLength + 3 > settings.wrap) {
-				description = ' '.repeat(specLength + 3) + description
-				description = wordWrap(description, {
-					indent: ' '.repeat(specLength + 3),
-					width: settings.wrap - 1
-				})
-				description = description.substring((specLength + 3) * 2)
-			}
+		// Describe the options that are not in a group.
+		let ungrouped = settings.options
+			.filter(function(option) {
+				return !groups.some(function(x) { return x.options.includes(option) })
+			})
+		if (ungrouped.length > 0) {
+			sections.push({
+				title: formatMessage('options', {}, settings),
+				rows: ungrouped.map(function(option) { return options.get(option) })
+			})
+		}
 
-			process.stdout.write('  ' + option.spec.padEnd(specLength) + ' ' + description + '\n')
+		// Describe the options in each group.
+		for (let {group, options: grouped} of groups) {
+			sections.push({
+				title: group.title ?? formatMessage('options', {}, settings),
+				note: group.exclusive
+					? formatMessage(group.required ? 'exactlyOneRequired' : 'mutuallyExclusive', {}, settings)
+					: group.required ? formatMessage('atLeastOneRequired', {}, settings) : undefined,
+				rows: grouped.map(function(option) { return options.get(option) })
+			})
 		}
 	}
 
-	// Write the usage footer.
-	if (settings.usage?.footer) {
-		// Wrap the text on word boundaries.
-		let footer = settings.usage.footer
-		if (settings.wrap) {
-			footer = footer.match(/^\s*/)
-				+ wordWrap(footer, {
-					indent: '',
-					width: settings.wrap - 1
+	// Describe the positional parameters.
+	if (settings.parameters && settings.parameters.length > 0) {
+		sections.push({
+			title: formatMessage('parameters', {}, settings),
+			rows: settings.parameters
+				.map(function(parameter) {
+					return {
+						spec: _formatParameter(parameter),
+						description: parameter.description
+					}
 				})
-				+ footer.match(/\s*$/)
-		}
+		})
+	}
+
+	// Describe the commands.
+	if (settings.commands.length > 0) {
+		sections.push({
+			title: formatMessage('commands', {}, settings),
+			rows: settings.commands
+				.map(function(command) {
+					return {
+						spec: command.name
+							.slice(0, settings.first ? 1 : Number.MAX_SAFE_INTEGER)
+							.join(' '),
+						description: command.description ?? ''
+					}
+				})
+		})
+	}
 
-		process.stdout.write(footer)
+	return {
+		program: _program(settings),
+		version: settings.version,
+		header: settings.usage?.header,
+		spec: settings.usage?.spec ?? _formatSpec(settings),
+		sections: sections,
+		footer: settings.usage?.footer
 	}
+}
+
+/**
+ * Formats a value for the usage documentation.
+ * @param {*} value The value.
+ * @returns {string} The formatted value.
+ */
+function _formatValue(value) {
+	return String.isString(value)
+		? value
+		: JSON.stringify(value)
+}
+
+/**
+ * Generates the usage specification from the options, positional parameters, and commands.
+ * @param {getopt~Settings} settings The normalized configuration of the parser.
+ * @returns {string} The usage specification.
+ */
+function _formatSpec(settings) {
+	let spec = []
+	let placeholder = function(key) { return formatMessage(key, {}, settings) }
+	if (settings.options.length > 0)
+		spec.push('[' + placeholder('optionPlaceholder') + ']...')
+	if (settings.commands.length > 0)
+		spec.push('<' + placeholder('commandPlaceholder') + '> [' + placeholder('argumentPlaceholder') + ']...')
+	else if (settings.parameters != null)
+		spec.push(...settings.parameters.map(_formatParameter))
+	else
+		spec.push('[' + placeholder('parameterPlaceholder') + ']...')
+	return spec.join(' ')
+}
+
+/**
+ * Formats a positional parameter for the usage documentation.
+ * @param {getopt~Parameter} parameter The specification of the positional parameter.
+ * @returns {string} The formatted parameter.
+ */
+function _formatParameter(parameter) {
+	return (parameter.optional ? '[' : '<')
+		+ parameter.name
+		+ (parameter.optional ? ']' : '>')
+		+ (parameter.variadic ? '...' : '')
+}
 
-	process.exit()
+/**
+ * Formats the argument of an option for the usage documentation.
+ * @param {getopt~Option}   option   The specification of the option.
+ * @param {getopt~Settings} settings The normalized configuration of the parser, whose messages are used.
+ * @returns {string} The formatted argument.
+ */
+function _formatArgument(option, settings) {
+	if (option.type === 'enum')
+		return option.choices.join('|')
+	if (String.isString(option.argument))
+		return option.argument
+	if (String.isString(option.type))
+		return option.type
+	return formatMessage('argumentPlaceholder', {}, settings)
 }
 
+export {ArgumentError, CompletionRequest, ParseError, formatArgContext}
+
+getopt.ArgumentError = ArgumentError
+getopt.CompletionRequest = CompletionRequest
+getopt.ParseError = ParseError
+getopt.formatArgContext = formatArgContext
+getopt.complete = complete
+getopt.completion = completion
+getopt.defineOptions = defineOptions
+getopt.formatUsage = formatUsage
+getopt.split = split
+getopt.stringify = stringify
 getopt.usage = usage
+getopt.validate = validate
+getopt.version = version
+
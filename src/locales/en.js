@@ -0,0 +1,82 @@
+/**
+ * The English messages, which are the default messages.
+ * Each placeholder of the form '{name}' is replaced by the corresponding value.
+ * @constant {object.<string, string>}
+ */
+export default {
+	// Parse errors.
+	ambiguousOption: 'Option \'{option}\' is ambiguous; it could be {candidates}.',
+	asynchronousArgument: 'The argument for {target} is converted asynchronously, which requires getoptAsync or parseAsync.',
+	conflictingOption: 'Option \'{option}\' conflicts with option \'{conflict}\'.',
+	exclusiveOptions: 'Options \'{option}\' and \'{other}\' are mutually exclusive.',
+	invalidAnswer: 'Invalid answer \'{answer}\' for {target}: expected {yes} or {no}.',
+	invalidArgument: 'Invalid argument \'{value}\' for {target}: {reason}.',
+	invalidHiddenArgument: 'Invalid argument for {target}: {reason}.',
+	missingArgument: 'Option \'{option}\' requires an argument.',
+	missingGroup: 'One of the options {options} is required.',
+	missingOption: 'Option \'{option}\' is required.',
+	missingParameter: 'Parameter \'{parameter}\' is required.',
+	notNegatable: 'Option \'{option}\' cannot be negated.',
+	repeatedOption: 'Option \'{option}\' cannot be specified more than once.',
+	requiredOption: 'Option \'{option}\' requires option \'{required}\'.',
+	suggestion: 'Did you mean {suggestions}?',
+	suggestions: 'Did you mean one of {suggestions}?',
+	unexpectedArgument: 'Option \'{option}\' doesn\'t take an argument.',
+	unexpectedParameter: 'Unexpected parameter \'{parameter}\'.',
+	unknownCommand: 'Unrecognized command \'{command}\'.',
+	unknownOption: 'Unrecognized option \'{option}\'.',
+
+	// The sources of an invalid argument.
+	configTarget: 'configuration key \'{key}\'',
+	envTarget: 'environment variable \'{name}\'',
+	optionTarget: 'option \'{option}\'',
+	parameterTarget: 'parameter \'{parameter}\'',
+
+	// The reasons why an argument is invalid.
+	expectedBoolean: 'expected a boolean',
+	expectedChoice: 'expected one of {choices}',
+	expectedInteger: 'expected an integer',
+	expectedJson: 'expected JSON',
+	expectedNumber: 'expected a number',
+	rejected: 'rejected by the validator',
+
+	// Configuration files.
+	configFileUnreadable: 'Failed to read the configuration file "{file}".',
+
+	// Response files.
+	responseFileCycle: 'Response file "{file}" includes itself.',
+	responseFileDepth: 'Response file "{file}" is nested more than {depth} levels deep.',
+	responseFileInvalid: 'Invalid response file "{file}". {reason}',
+	responseFileUnreadable: 'Failed to read the response file "{file}".',
+	unterminatedDoubleQuote: 'Unterminated double quote on line {line}.',
+	unterminatedSingleQuote: 'Unterminated single quote on line {line}.',
+
+	// Prompts, where the answers to a confirmation are alternatives that are separated by '|'.
+	choicePrompt: '{message} [1-{count}]: ',
+	confirmPrompt: '{message}? [{yes}/{no}] ',
+	no: 'n|no',
+	textPrompt: '{message}: ',
+	yes: 'y|yes',
+
+	// Usage documentation.
+	argumentPlaceholder: 'argument',
+	atLeastOneRequired: 'at least one required',
+	commandPlaceholder: 'command',
+	commands: 'Commands',
+	defaultNote: '(default: {value})',
+	envNote: '(env: {name})',
+	exactlyOneRequired: 'exactly one required',
+	heading: '{title}:',
+	help: 'Display this usage information and exit.',
+	manDescription: 'DESCRIPTION',
+	manName: 'NAME',
+	manNotes: 'NOTES',
+	manSynopsis: 'SYNOPSIS',
+	mutuallyExclusive: 'mutually exclusive',
+	optionPlaceholder: 'option',
+	options: 'Options',
+	parameterPlaceholder: 'parameter',
+	parameters: 'Parameters',
+	usage: 'Usage',
+	version: 'Display the version information and exit.'
+}
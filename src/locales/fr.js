@@ -0,0 +1,81 @@
+/**
+ * The French messages.
+ * @constant {object.<string, string>}
+ */
+export default {
+	// Parse errors.
+	ambiguousOption: 'L\'option « {option} » est ambiguë ; elle pourrait être {candidates}.',
+	asynchronousArgument: 'L\'argument de {target} est converti de manière asynchrone, ce qui requiert getoptAsync ou parseAsync.',
+	conflictingOption: 'L\'option « {option} » est incompatible avec l\'option « {conflict} ».',
+	exclusiveOptions: 'Les options « {option} » et « {other} » sont mutuellement exclusives.',
+	invalidAnswer: 'Réponse « {answer} » invalide pour {target} : {yes} ou {no} attendu.',
+	invalidArgument: 'Argument « {value} » invalide pour {target} : {reason}.',
+	invalidHiddenArgument: 'Argument invalide pour {target} : {reason}.',
+	missingArgument: 'L\'option « {option} » requiert un argument.',
+	missingGroup: 'L\'une des options {options} est requise.',
+	missingOption: 'L\'option « {option} » est requise.',
+	missingParameter: 'Le paramètre « {parameter} » est requis.',
+	notNegatable: 'L\'option « {option} » ne peut pas être niée.',
+	repeatedOption: 'L\'option « {option} » ne peut pas être spécifiée plus d\'une fois.',
+	requiredOption: 'L\'option « {option} » requiert l\'option « {required} ».',
+	suggestion: 'Vouliez-vous dire {suggestions} ?',
+	suggestions: 'Vouliez-vous dire l\'une de {suggestions} ?',
+	unexpectedArgument: 'L\'option « {option} » n\'accepte pas d\'argument.',
+	unexpectedParameter: 'Paramètre « {parameter} » inattendu.',
+	unknownCommand: 'Commande « {command} » non reconnue.',
+	unknownOption: 'Option « {option} » non reconnue.',
+
+	// The sources of an invalid argument.
+	configTarget: 'la clé de configuration « {key} »',
+	envTarget: 'la variable d\'environnement « {name} »',
+	optionTarget: 'l\'option « {option} »',
+	parameterTarget: 'le paramètre « {parameter} »',
+
+	// The reasons why an argument is invalid.
+	expectedBoolean: 'booléen attendu',
+	expectedChoice: 'l\'une des valeurs {choices} attendue',
+	expectedInteger: 'entier attendu',
+	expectedJson: 'JSON attendu',
+	expectedNumber: 'nombre attendu',
+	rejected: 'rejeté par le validateur',
+
+	// Configuration files.
+	configFileUnreadable: 'Impossible de lire le fichier de configuration « {file} ».',
+
+	// Response files.
+	responseFileCycle: 'Le fichier de réponses « {file} » s\'inclut lui-même.',
+	responseFileDepth: 'Le fichier de réponses « {file} » est imbriqué sur plus de {depth} niveaux.',
+	responseFileInvalid: 'Fichier de réponses « {file} » invalide. {reason}',
+	responseFileUnreadable: 'Impossible de lire le fichier de réponses « {file} ».',
+	unterminatedDoubleQuote: 'Guillemet double non terminé à la ligne {line}.',
+	unterminatedSingleQuote: 'Guillemet simple non terminé à la ligne {line}.',
+
+	// Prompts.
+	choicePrompt: '{message} [1-{count}] : ',
+	confirmPrompt: '{message} ? [{yes}/{no}] ',
+	no: 'n|non',
+	textPrompt: '{message} : ',
+	yes: 'o|oui',
+
+	// Usage documentation.
+	argumentPlaceholder: 'argument',
+	atLeastOneRequired: 'au moins une requise',
+	commandPlaceholder: 'commande',
+	commands: 'Commandes',
+	defaultNote: '(défaut : {value})',
+	envNote: '(env : {name})',
+	exactlyOneRequired: 'exactement une requise',
+	heading: '{title} :',
+	help: 'Afficher cette aide et quitter.',
+	manDescription: 'DESCRIPTION',
+	manName: 'NOM',
+	manNotes: 'NOTES',
+	manSynopsis: 'SYNOPSIS',
+	mutuallyExclusive: 'mutuellement exclusives',
+	optionPlaceholder: 'option',
+	options: 'Options',
+	parameterPlaceholder: 'paramètre',
+	parameters: 'Paramètres',
+	usage: 'Utilisation',
+	version: 'Afficher les informations de version et quitter.'
+}
@@ -0,0 +1,68 @@
+import en from './locales/en.js'
+import fr from './locales/fr.js'
+import './shims/string.js' // String.isString
+
+/**
+ * The bundled message catalogs, indexed by their locale.
+ * @constant {object.<string, object>}
+ */
+export const locales = {
+	en: en,
+	fr: fr
+}
+
+/**
+ * The locale of the messages when none is specified.
+ * @constant {string}
+ * @default
+ */
+const _defaultLocale = 'en'
+
+/**
+ * Formats a message, replacing each placeholder of the form '{name}' with the corresponding value.
+ * The message is looked up in the messages of the settings, then in the bundled catalog of the locale of the settings
+ * or of its language, and then in the English catalog.
+ * @param {string}          key        The key of the message.
+ * @param {object}          [values]   The values of the placeholders.
+ * @param {getopt~Settings} [settings] The configuration of the parser, whose locale and messages are used.
+ * @returns {string} The formatted message.
+ */
+export default function formatMessage(key, values, settings) {
+	let message = settings?.messages?.[key]
+		?? localize(locales, settings?.locale)[key]
+		?? en[key]
+
+	if (typeof message === 'function')
+		return message(values ?? {})
+	return message.replace(/\{(\w+)\}/g, function(match, name) {
+		return values?.[name] !== undefined ? String(values[name]) : match
+	})
+}
+
+/**
+ * Localizes a text that may be a map of locales to translations, such as the description of an option.
+ * The translation is looked up for the locale, then for its language, then for English, and then the first translation
+ * is used.
+ * @param {object.<string, string>|string} text     The text or the map of locales to translations.
+ * @param {string}                         [locale] The locale, such as 'fr', 'fr-CA', or 'fr_CA.UTF-8', which is English by default.
+ * @returns {string} The localized text.
+ */
+export function localize(text, locale) {
+	if (text == null || String.isString(text))
+		return text
+
+	locale = locale ?? _defaultLocale
+	for (let candidate of [locale, locale.split(/[-_.@]/)[0].toLowerCase(), _defaultLocale])
+		if (Object.hasOwn(text, candidate))
+			return text[candidate]
+	return Object.values(text)[0]
+}
+
+/**
+ * Determines whether a key identifies a message.
+ * @param {string} key The key.
+ * @returns {boolean} @c true if the key identifies a message; otherwise, @c false.
+ */
+export function isMessage(key) {
+	return Object.hasOwn(en, key)
+}
@@ -0,0 +1,133 @@
+/**
+ * An error that may occur when parsing the command-line arguments.
+ */
+export default class ParseError extends Error {
+	/**
+	 * Initializes a new instance.
+	 * @param {string}           message               A description of the error.
+	 * @param {object}           details               The details of the error.
+	 * @param {string}           details.code          A code that identifies the kind of error, such as 'UNKNOWN_OPTION'.
+	 * @param {number}           [details.index]       The index of the command-line argument that caused the error, if any.
+	 * @param {string}           [details.token]       The command-line argument that caused the error, if any.
+	 * @param {number}           [details.subIndex]    The index of the character in the command-line argument where the error begins.
+	 * @param {number}           [details.subLength]   The number of characters in the command-line argument that caused the error.
+	 * @param {getopt~Option}    [details.option]      The specification of the option that caused the error.
+	 * @param {getopt~Parameter} [details.parameter]   The specification of the positional parameter that caused the error.
+	 * @param {array.<string>}   [details.suggestions] The options or commands that are similar to the unrecognized one.
+	 * @param {getopt~Origin}    [details.origin]      The response file and line from which the command-line argument was read, if any.
+	 * @param {array.<string>}   [details.args]        The command-line arguments to which the index refers, which are expanded from the response files, if any.
+	 * @param {Error}            [details.cause]       The error that caused this error.
+	 */
+	constructor(message, details) {
+		super(message, details.cause !== undefined ? {cause: details.cause} : undefined)
+		this.name = this.constructor.name
+		this.code = details.code
+		this.index = details.index
+		this.subIndex = details.subIndex
+		this.subLength = details.subLength
+		this.token = details.token
+		this.option = details.option
+		this.parameter = details.parameter
+		this.suggestions = details.suggestions ?? []
+		this.origin = details.origin
+		this.args = details.args
+	}
+}
+
+/**
+ * The option was not recognized.
+ * @constant {string}
+ * @default
+ */
+ParseError.UNKNOWN_OPTION = 'UNKNOWN_OPTION'
+
+/**
+ * The option is an abbreviation of more than one option.
+ * @constant {string}
+ * @default
+ */
+ParseError.AMBIGUOUS_OPTION = 'AMBIGUOUS_OPTION'
+
+/**
+ * The option was negated, but it is not a flag that can be negated.
+ * @constant {string}
+ * @default
+ */
+ParseError.NOT_NEGATABLE = 'NOT_NEGATABLE'
+
+/**
+ * The command was not recognized.
+ * @constant {string}
+ * @default
+ */
+ParseError.UNKNOWN_COMMAND = 'UNKNOWN_COMMAND'
+
+/**
+ * The option requires an argument, but none was given.
+ * @constant {string}
+ * @default
+ */
+ParseError.MISSING_ARGUMENT = 'MISSING_ARGUMENT'
+
+/**
+ * The option doesn't take an argument, but one was given.
+ * @constant {string}
+ * @default
+ */
+ParseError.UNEXPECTED_ARGUMENT = 'UNEXPECTED_ARGUMENT'
+
+/**
+ * The argument of the option could not be converted to its type.
+ * @constant {string}
+ * @default
+ */
+ParseError.INVALID_ARGUMENT = 'INVALID_ARGUMENT'
+
+/**
+ * The argument was converted or validated asynchronously, but the arguments were parsed synchronously.
+ * @constant {string}
+ * @default
+ */
+ParseError.ASYNCHRONOUS_ARGUMENT = 'ASYNCHRONOUS_ARGUMENT'
+
+/**
+ * The option is required, but it was not specified.
+ * @constant {string}
+ * @default
+ */
+ParseError.MISSING_OPTION = 'MISSING_OPTION'
+
+/**
+ * The positional parameter is required, but it was not specified.
+ * @constant {string}
+ * @default
+ */
+ParseError.MISSING_PARAMETER = 'MISSING_PARAMETER'
+
+/**
+ * There are more positional parameters than were specified.
+ * @constant {string}
+ * @default
+ */
+ParseError.UNEXPECTED_PARAMETER = 'UNEXPECTED_PARAMETER'
+
+/**
+ * The option conflicts with another option that was specified.
+ * @constant {string}
+ * @default
+ */
+ParseError.CONFLICTING_OPTIONS = 'CONFLICTING_OPTIONS'
+
+/**
+ * The option was specified more than once, but it doesn't permit repetition.
+ * @constant {string}
+ * @default
+ */
+ParseError.REPEATED_OPTION = 'REPEATED_OPTION'
+
+/**
+ * The response file could not be read, is invalid, or is nested too deeply.
+ * @constant {string}
+ * @default
+ */
+ParseError.INVALID_RESPONSE_FILE = 'INVALID_RESPONSE_FILE'
@@ -0,0 +1,13 @@
+/**
+ * Determines the primary name of an option, which is its first name, or its first long form in camel case, or its first
+ * short form.
+ * @param {getopt~Option} option The normalized specification of the option.
+ * @returns {string} The primary name.
+ */
+export default function primaryName(option) {
+	if (option.name.length > 0)
+		return option.name[0]
+	if (option.long.length > 0)
+		return option.long[0].replace(/-+(.)/g, function(match, c) { return c.toUpperCase() })
+	return option.short[0]
+}
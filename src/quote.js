@@ -0,0 +1,19 @@
+/**
+ * Quotes a command-line argument for a POSIX shell if it contains special characters.
+ * @param {string} arg The command-line argument.
+ * @returns {string} The quoted command-line argument.
+ */
+export default function quote(arg) {
+	return arg.length === 0 || /[\s'"\\$`!*?#&;|<>(){}[\]~]/.test(arg)
+		? '\'' + escape(arg) + '\''
+		: arg
+}
+
+/**
+ * Escapes the single quotes in a command-line argument that is enclosed in single quotes.
+ * @param {string} arg The command-line argument.
+ * @returns {string} The escaped command-line argument.
+ */
+export function escape(arg) {
+	return arg.replace(/'/g, '\'\\\'\'')
+}
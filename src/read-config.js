@@ -1,14 +1,80 @@
+import fs from 'fs'
+import yaml from 'js-yaml'
+import formatMessage from './messages.js'
+
+/**
+ * The names that cannot be sections or keys of an INI file, since they would modify the prototype of the objects.
+ * @constant {array.<string>}
+ */
+const _reservedNames = ['__proto__', 'constructor', 'prototype']
+
 /**
  * Reads the settings from a configuration file.
+ * The file is parsed as INI if its extension is '.ini', as YAML if its extension is '.yaml' or '.yml', and otherwise as
+ * JSON.
  * @param {string} path - The path to the configuration file.
+ * @param {getopt~Settings} [settings] - The configuration of the parser, whose messages are used.
  * @return {getopt~Settings} The settings.
  */
-export default function readConfig(path) {
+export default function readConfig(path, settings) {
 	try {
-		const json = fs.readFileSync(path)
-		return JSON.parse(json)
+		const content = fs.readFileSync(path, 'utf8')
+		if (/\.ini$/i.test(path))
+			return _parseIni(content)
+		if (/\.ya?ml$/i.test(path))
+			return yaml.load(content)
+		return JSON.parse(content)
 	}
 	catch (e) {
-		throw new Error('Failed to read the configuration file "' + path + '".')
+		throw new Error(formatMessage('configFileUnreadable', {file: path}, settings), {cause: e})
+	}
+}
+
+/**
+ * Parses the content of an INI file.
+ * The keys of a section are stored in a nested object, which is named after the section.
+ * Dots in the name of a section produce further nesting.
+ * @param {string} content - The content of the INI file.
+ * @return {object} The parsed content.
+ */
+function _parseIni(content) {
+	let result = {}
+	let section = result
+
+	for (let [i, line] of content.split(/\r?\n/).entries()) {
+		line = line.trim()
+
+		// Skip blank lines and comments.
+		if (line.length === 0 || line[0] === ';' || line[0] === '#')
+			continue
+
+		// Handle the start of a section.
+		let match = line.match(/^\[\s*(.*?)\s*\]$/)
+		if (match) {
+			section = result
+			for (let name of match[1].split('.')) {
+				if (_reservedNames.includes(name))
+					throw new Error('Reserved name \'' + name + '\' on line ' + (i + 1) + '.')
+				if (typeof section[name] !== 'object' || section[name] === null)
+					section[name] = {}
+				section = section[name]
+			}
+			continue
+		}
+
+		// Handle a key and its value.
+		match = line.match(/^(.*?)\s*=\s*(.*)$/)
+		if (!match)
+			throw new Error('Invalid syntax on line ' + (i + 1) + '.')
+		if (_reservedNames.includes(match[1]))
+			throw new Error('Reserved name \'' + match[1] + '\' on line ' + (i + 1) + '.')
+
+		let value = match[2]
+		if (/^".*"$|^'.*'$/.test(value))
+			value = value.substring(1, value.length - 1)
+
+		section[match[1]] = value
 	}
+
+	return result
 }
@@ -0,0 +1,40 @@
+import formatMessage from './messages.js'
+
+/**
+ * Builds the standard options that display the usage and version information, omitting the forms that are already
+ * defined by the options of the parser.
+ * @param {array.<getopt~Option>} options           The options that are already defined.
+ * @param {object}                settings          The locale, messages, syntax, and version of the configuration.
+ * @param {object}                callbacks         The callbacks of the standard options.
+ * @param {getopt~Callback}       callbacks.usage   The callback of the option that displays the usage information.
+ * @param {getopt~Callback}       callbacks.version The callback of the option that displays the version information.
+ * @returns {array.<getopt~Option>} The standard options, whose forms are arrays.
+ */
+export default function standardOptions(options, settings, callbacks) {
+	let shortOptions = new Set(options.flatMap(function(option) { return [].concat(option.short ?? []) }))
+	let longOptions = new Set(options.flatMap(function(option) { return [].concat(option.long ?? []) }))
+
+	let standard = [{
+		short: settings.syntax === 'windows' ? '?' : 'h',
+		long: 'help',
+		description: formatMessage('help', {}, settings),
+		callback: callbacks.usage
+	}]
+	if (settings.version != null) {
+		standard.push({
+			short: 'V',
+			long: 'version',
+			description: formatMessage('version', {}, settings),
+			callback: callbacks.version
+		})
+	}
+
+	return standard
+		.map(function(option) {
+			return Object.assign({}, option, {
+				short: shortOptions.has(option.short) ? [] : [option.short],
+				long: longOptions.has(option.long) ? [] : [option.long]
+			})
+		})
+		.filter(function(option) { return option.short.length > 0 || option.long.length > 0 })
+}
@@ -0,0 +1,58 @@
+/**
+ * Finds the candidates that are similar to a string.
+ * @param {string}         string      The string.
+ * @param {array.<string>} candidates  The candidates.
+ * @param {number}         maxDistance The maximum edit distance between the string and a similar candidate.
+ * @returns {array.<string>} The similar candidates, ordered from most to least similar.
+ */
+export default function suggest(string, candidates, maxDistance) {
+	return candidates
+		.map(function(candidate) {
+			return {
+				candidate: candidate,
+				distance: _distance(string, candidate)
+			}
+		})
+		.filter(function(x) {
+			// Exclude candidates that would be similar to anything of their length.
+			return x.distance <= maxDistance
+				&& x.distance < string.length
+				&& x.distance < x.candidate.length
+		})
+		.sort(function(a, b) {
+			return a.distance - b.distance
+				|| (a.candidate < b.candidate ? -1 : a.candidate > b.candidate ? 1 : 0)
+		})
+		.map(function(x) { return x.candidate })
+		.filter(function(x, i, a) { return a.indexOf(x) === i })
+}
+
+/**
+ * Calculates the edit distance between two strings, where an edit is an insertion, a deletion, a substitution, or a
+ * transposition of two adjacent characters.
+ * @param {string} a The first string.
+ * @param {string} b The second string.
+ * @returns {number} The edit distance.
+ */
+function _distance(a, b) {
+	let d = Array.from({length: a.length + 1}, function(_, i) {
+		return Array.from({length: b.length + 1}, function(_, j) {
+			return i === 0 ? j : j === 0 ? i : 0
+		})
+	})
+
+	for (let i = 1; i <= a.length; ++i)
+		for (let j = 1; j <= b.length; ++j) {
+			let cost = a[i - 1] === b[j - 1] ? 0 : 1
+			d[i][j] = Math.min(
+				d[i - 1][j] + 1,
+				d[i][j - 1] + 1,
+				d[i - 1][j - 1] + cost)
+
+			// Handle the case where two adjacent characters are transposed.
+			if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1])
+				d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1)
+		}
+
+	return d[a.length][b.length]
+}
@@ -0,0 +1,98 @@
+import formatMessage from './messages.js'
+
+/**
+ * Splits text into words in the manner of a POSIX shell, without expansions.
+ * Words are separated by whitespace, and they may be quoted by single or double quotes or escaped by backslashes.
+ * A word that begins with '#' begins a comment, which extends to the end of the line.
+ * @param {string} text The text.
+ * @returns {array.<object>} The words, each having its value and the line on which it begins.
+ * @throws {Error} Thrown if a quote is not terminated, which carries the key and values of its message so that the message can be localized.
+ */
+export default function tokenize(text) {
+	let words = []
+	let word = null
+	let line = 1
+	let wordLine = 1
+	let quote = null
+	let quoteLine = 1
+
+	for (let i = 0; i < text.length; ++i) {
+		let c = text[i]
+
+		// Handle a character in single quotes, where every character is literal.
+		if (quote === '\'') {
+			if (c === '\'')
+				quote = null
+			else
+				word += c
+		}
+
+		// Handle a character in double quotes, where a backslash only escapes the special characters.
+		else if (quote === '"') {
+			if (c === '"')
+				quote = null
+			else if (c === '\\' && i + 1 < text.length && '"\\$`\n'.includes(text[i + 1])) {
+				c = text[++i]
+				if (c !== '\n')
+					word += c
+			}
+			else
+				word += c
+		}
+
+		// Handle a backslash, which escapes the next character or continues the line.
+		else if (c === '\\') {
+			if (i + 1 < text.length) {
+				c = text[++i]
+				if (c !== '\n') {
+					if (word === null) {
+						word = ''
+						wordLine = line
+					}
+					word += c
+				}
+			}
+		}
+
+		// Handle whitespace, which ends the word.
+		else if (/\s/.test(c)) {
+			if (word !== null) {
+				words.push({value: word, line: wordLine})
+				word = null
+			}
+		}
+
+		// Handle a comment, which extends to the end of the line.
+		else if (c === '#' && word === null) {
+			while (i + 1 < text.length && text[i + 1] !== '\n')
+				++i
+		}
+
+		// Handle a quote or an ordinary character.
+		else {
+			if (word === null) {
+				word = ''
+				wordLine = line
+			}
+			if (c === '\'' || c === '"') {
+				quote = c
+				quoteLine = line
+			}
+			else
+				word += c
+		}
+
+		if (c === '\n')
+			++line
+	}
+
+	if (quote !== null) {
+		let key = quote === '"' ? 'unterminatedDoubleQuote' : 'unterminatedSingleQuote'
+		let values = {line: quoteLine}
+		throw Object.assign(new Error(formatMessage(key, values)), {key: key, values: values})
+	}
+	if (word !== null)
+		words.push({value: word, line: wordLine})
+
+	return words
+}
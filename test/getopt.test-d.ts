@@ -0,0 +1,122 @@
+import getopt, {ArgumentError, type Option, ParseError, type ParsedOption, type Results, defineOptions, getoptAsync, getoptInteractive, stringify, usage} from '../index.js'
+
+// Determines whether two types are identical.
+type Equal<A, B> = (<T>() => T extends A ? 1 : 2) extends (<T>() => T extends B ? 1 : 2) ? true : false
+
+// Asserts that a type is true.
+function assert<T extends true>() {}
+
+// Infer the values of the options from their specification.
+const settings = defineOptions({
+	options: [
+		{short: 'o', long: 'output', argument: 'file', required: true},
+		{short: 'v', long: 'verbose', multiple: 'count'},
+		{short: 'q', long: 'quiet'},
+		{long: 'color', negatable: true},
+		{short: 'j', long: 'jobs', argument: true, type: 'integer', default: 1},
+		{long: 'level', argument: true, type: 'enum', choices: ['low', 'high']},
+		{short: 'I', long: 'include', argument: true, multiple: 'array'},
+		{long: 'date', argument: true, type: function(value: string) { return new Date(value) }},
+		{name: 'config', long: 'config-file', argument: true, optional: true},
+		{short: 'h', long: 'help', callback: usage}
+	],
+	parameters: [
+		{name: 'source'},
+		{name: 'target', optional: true},
+		{name: 'rest', variadic: true}
+	],
+	commands: [
+		{name: 'build', options: [{long: 'release'}]}
+	]
+})
+const results = getopt(['-o', 'out', 'in'], settings)
+
+assert<Equal<typeof results.options.output.value, string>>()
+assert<Equal<typeof results.options.o.value, string>>()
+assert<Equal<typeof results.options.jobs.value, number>>()
+assert<Equal<typeof results.options.verbose, ParsedOption<{readonly short: 'v', readonly long: 'verbose', readonly multiple: 'count'}> | undefined>>()
+assert<Equal<NonNullable<typeof results.options.verbose>['value'], number>>()
+assert<Equal<NonNullable<typeof results.options.quiet>['value'], boolean>>()
+assert<Equal<NonNullable<typeof results.options.color>['value'], boolean>>()
+assert<Equal<NonNullable<typeof results.options.level>['value'], 'low' | 'high'>>()
+assert<Equal<NonNullable<typeof results.options.include>['value'], string[]>>()
+assert<Equal<NonNullable<typeof results.options.date>['value'], Date>>()
+assert<Equal<NonNullable<typeof results.options.config>['value'], string | undefined>>()
+assert<Equal<NonNullable<typeof results.options['config-file']>['value'], string | undefined>>()
+assert<Equal<NonNullable<typeof results.options.release>['value'], boolean>>()
+assert<Equal<typeof results.parameters.source.value, string>>()
+assert<Equal<NonNullable<typeof results.parameters.target>['value'], string>>()
+assert<Equal<undefined extends typeof results.parameters.target ? true : false, true>>()
+assert<Equal<NonNullable<typeof results.parameters.rest>[number]['value'], string>>()
+
+// Infer the plain values.
+assert<Equal<typeof results.values.output, string>>()
+assert<Equal<typeof results.values.verbose, number>>()
+assert<Equal<typeof results.values.quiet, boolean>>()
+assert<Equal<typeof results.values.level, 'low' | 'high' | undefined>>()
+assert<Equal<typeof results.values.include, string[] | undefined>>()
+assert<Equal<typeof results.values.config, string | true | undefined>>()
+assert<Equal<typeof results.values.release, boolean | undefined>>()
+const names = getopt([], {options: [{long: 'dry-run'}, {long: 'a--b-'}, {short: 'x'}]})
+assert<Equal<keyof typeof names.values, 'dryRun' | 'aB-' | 'x'>>()
+const standard = getopt([], {standardOptions: true, version: '1.0'})
+assert<Equal<typeof standard.values.help | typeof standard.values.version, boolean>>()
+
+// @ts-expect-error The options that are not required may be absent.
+results.options.quiet.value
+// @ts-expect-error The optional positional parameters may be absent.
+results.parameters.target.value
+// @ts-expect-error The options that are not specified are not indexed.
+results.options.missing
+
+// Infer the values from the settings that are passed directly.
+const inline = getopt([], {options: [{short: 'n', argument: true, type: 'number', required: true}]})
+assert<Equal<typeof inline.options.n.value, number>>()
+
+// Infer the values asynchronously.
+getoptAsync([], settings).then(function(results) {
+	assert<Equal<typeof results.options.output.value, string>>()
+})
+
+// Infer the values of the options that are prompted for.
+getoptInteractive([], {options: [{long: 'env', argument: true, required: true, prompt: 'text'}]}, {output: {write: function() {}}}).then(function(results) {
+	assert<Equal<typeof results.options.env.value, string>>()
+})
+// @ts-expect-error The kind of prompt must be known.
+defineOptions({options: [{long: 'x', prompt: 'secret'}]})
+
+// Localize the messages and descriptions.
+const localized = getopt(['-v'], {
+	locale: 'fr',
+	messages: {unknownOption: 'Option inconnue : {option}', suggestion: function(values) { return 'Vouliez-vous dire ' + values.suggestions + ' ?' }},
+	options: [{short: 'v', description: {en: 'Be verbose.', fr: 'Être bavard.'}}]
+})
+assert<Equal<typeof localized.values.v, boolean>>()
+// @ts-expect-error The message must be known.
+defineOptions({messages: {unrecognizedOption: 'x'}})
+
+// Fall back to untyped results when the settings are not literal.
+const untyped = getopt([], {} as {options: Option[]})
+assert<Equal<typeof untyped.options[string], ParsedOption | undefined>>()
+const defaults = getopt([])
+assert<Equal<typeof defaults, Results>>()
+stringify(results, settings)
+
+// Reject the invalid specifications.
+// @ts-expect-error The type must be known.
+defineOptions({options: [{long: 'x', argument: true, type: 'float'}]})
+// @ts-expect-error The accumulation mode must be known.
+defineOptions({options: [{long: 'x', multiple: 'all'}]})
+
+// Distinguish the errors.
+try {
+	getopt(['--x'])
+}
+catch (e) {
+	if (e instanceof ParseError)
+		assert<Equal<typeof e.code, string>>()
+	else if (e instanceof ArgumentError)
+		assert<Equal<typeof e.message, string>>()
+}
+assert<Equal<typeof ParseError.UNKNOWN_OPTION, 'UNKNOWN_OPTION'>>()
+assert<Equal<typeof getopt.validate, typeof import('../index.js').validate>>()
@@ -1,6 +1,35 @@
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
 import process from 'process'
+import {PassThrough} from 'stream'
 import {expect, jest, test} from '@jest/globals'
-import getopt from '../index.js'
+import main, {exitCodes} from '../src/cli.js'
+import getopt, {ArgumentError, CompletionRequest, ParseError, defineOptions, getoptAsync, getoptInteractive, parse, parseAsync, split, stringify, validate} from '../index.js'
+
+/**
+ * Captures the output of a function that writes the usage information.
+ * @param {function} f The function.
+ * @returns {string} The output.
+ */
+function captureUsage(f) {
+	let output = ''
+	const mockWrite = jest.spyOn(process.stdout, 'write').mockImplementation(function(x) { output += x })
+	const exit = new Error('exit')
+	const mockExit = jest.spyOn(process, 'exit').mockImplementation(function() { throw exit })
+	try {
+		f()
+	}
+	catch (e) {
+		if (e !== exit)
+			throw e
+	}
+	finally {
+		mockWrite.mockRestore()
+		mockExit.mockRestore()
+	}
+	return output
+}
 
 test('multi-character short-option sequence', function() {
 	let args = [
@@ -39,3 +68,1264 @@ test('usage callback', function() {
 	expect(mockExit).toHaveBeenCalled()
 	mockExit.mockRestore()
 })
+
+test('nested commands', function() {
+	let args = ['-v', 'db', 'migrate', '--force', 'latest']
+	let callback = jest.fn()
+	let settings = {
+		options: [
+			{short: 'v', long: 'verbose'}
+		],
+		commands: [
+			{
+				name: 'deploy'
+			},
+			{
+				name: 'db',
+				commands: [
+					{
+						name: ['migrate', 'm'],
+						options: [
+							{long: 'force'}
+						],
+						callback: callback
+					}
+				]
+			}
+		]
+	}
+
+	const result = getopt(args, settings)
+	expect(result.commands).toEqual(['db', 'migrate'])
+	expect(Object.keys(result.options)).toEqual(['v', 'verbose', 'force'])
+	expect(result.parameters).toHaveLength(1)
+	expect(result.parameters[0]).toEqual({position: 0, value: 'latest'})
+	expect(callback).toHaveBeenCalledTimes(1)
+	expect(callback.mock.calls[0][2].usage.program).toMatch(/ db migrate$/)
+})
+
+test('unrecognized command', function() {
+	let settings = {
+		commands: [
+			{name: 'deploy'}
+		]
+	}
+
+	expect(function() { getopt(['deplot'], settings) }).toThrow('Unrecognized command \'deplot\'.')
+	expect(function() { getopt(['deploy', '--force'], settings) }).toThrow('Unrecognized option \'--force\'.')
+})
+
+test('command usage', function() {
+	let args = ['deploy', '-h']
+	let settings = {
+		usage: {program: 'tool'},
+		commands: [
+			{
+				name: 'deploy',
+				description: 'Deploy the application.',
+				options: [
+					{short: 'h', callback: getopt.usage},
+					{long: 'force', description: 'Overwrite the existing deployment.'}
+				]
+			}
+		]
+	}
+
+	let output = captureUsage(function() { getopt(args, settings) })
+	expect(output).toMatch(/^Usage: tool deploy \[option\]\.\.\. \[parameter\]\.\.\.\n/)
+	expect(output).toMatch(/--force +Overwrite the existing deployment\.\n/)
+
+	output = captureUsage(function() { getopt.usage(settings) })
+	expect(output).toMatch(/Commands:\n {2}deploy Deploy the application\.\n/)
+})
+
+test('typed option values', function() {
+	let args = ['-n', '3', '--ratio=0.5', '--color=no', '--level=high', '--data={"a":1}', '-uabc']
+	let settings = {
+		options: [
+			{short: 'n', argument: true, type: 'integer'},
+			{long: 'ratio', argument: true, type: 'number'},
+			{long: 'color', argument: true, type: 'boolean'},
+			{long: 'level', argument: true, type: 'enum', choices: ['low', 'high']},
+			{long: 'data', argument: true, type: 'json'},
+			{short: 'u', argument: true, type: function(value) { return value.toUpperCase() }}
+		]
+	}
+
+	const result = getopt(args, settings)
+	expect(result.options.n.value).toBe(3)
+	expect(result.options.ratio.value).toBe(0.5)
+	expect(result.options.color.value).toBe(false)
+	expect(result.options.level.value).toBe('high')
+	expect(result.options.data.value).toEqual({a: 1})
+	expect(result.options.u.value).toBe('ABC')
+})
+
+test('invalid typed option values', function() {
+	let settings = {
+		options: [
+			{short: 'n', long: 'count', argument: true, type: 'integer'},
+			{long: 'level', argument: true, type: 'enum', choices: ['low', 'high']}
+		]
+	}
+
+	expect(function() { getopt(['-n', '1.5'], settings) }).toThrow('Invalid argument \'1.5\' for option \'-n\': expected an integer.')
+	expect(function() { getopt(['--level=max'], settings) }).toThrow('Invalid argument \'max\' for option \'--level\': expected one of \'low\', \'high\'.')
+	expect(function() { getopt([], {options: [{long: 'level', type: 'enum'}]}) }).toThrow('settings.options[0].choices is required when the type is enum')
+})
+
+test('typed option usage', function() {
+	let settings = {
+		usage: {program: 'tool'},
+		options: [
+			{short: 'n', argument: true, type: 'integer'},
+			{long: 'level', argument: 'level', type: 'enum', choices: ['low', 'high']},
+			{long: 'output', argument: 'file'}
+		]
+	}
+
+	let output = captureUsage(function() { getopt.usage(settings) })
+	expect(output).toMatch(/ -n <integer> /)
+	expect(output).toMatch(/ --level=<low\|high> /)
+	expect(output).toMatch(/ --output=<file> /)
+})
+
+test('parse errors', function() {
+	let settings = {
+		options: [
+			{short: 'v'},
+			{short: 'o', long: 'output', argument: true}
+		],
+		error: jest.fn()
+	}
+
+	/**
+	 * Parses the arguments and returns the error that was thrown.
+	 * @param {array.<string>} args The command-line arguments.
+	 * @returns {ParseError} The error.
+	 */
+	function parseError(args) {
+		try {
+			getopt(args, settings)
+		}
+		catch (e) {
+			return e
+		}
+	}
+
+	let e = parseError(['a', '-vx'])
+	expect(e).toBeInstanceOf(ParseError)
+	expect(e).toMatchObject({code: 'UNKNOWN_OPTION', index: 1, subIndex: 2, subLength: 1, token: '-vx'})
+	expect(settings.error).toHaveBeenCalledWith(e)
+
+	e = parseError(['-v', '--output'])
+	expect(e).toMatchObject({code: ParseError.MISSING_ARGUMENT, index: 1, token: '--output'})
+	expect(e.option.long).toEqual(['output'])
+
+	e = parseError(['-o'])
+	expect(e).toMatchObject({code: ParseError.MISSING_ARGUMENT, index: 0, subIndex: 1, token: '-o'})
+
+	e = parseError(['--verbose=1'])
+	expect(e).toMatchObject({code: ParseError.UNKNOWN_OPTION, subIndex: 0, subLength: 9})
+
+	expect(function() { Array.from(parse(['-x'], settings)) }).toThrow(ParseError)
+	expect(settings.error).toHaveBeenCalledTimes(5)
+})
+
+test('suggestions for unrecognized options', function() {
+	let settings = {
+		options: [
+			{short: 'v', long: 'verbose'},
+			{short: 'V', long: 'version'},
+			{short: 'q', long: 'quiet'}
+		],
+		commands: [
+			{name: 'deploy'},
+			{name: 'destroy'}
+		]
+	}
+
+	expect(function() { getopt(['--verbos'], settings) }).toThrow('Unrecognized option \'--verbos\'. Did you mean \'--verbose\'?')
+	expect(function() { getopt(['--verison'], settings) }).toThrow('Did you mean \'--version\'?')
+	expect(function() { getopt(['-quite'], settings) }).toThrow('Unrecognized option \'-u\'. Did you mean \'--quiet\'?')
+	expect(function() { getopt(['-vx'], settings) }).toThrow(/^Unrecognized option '-x'\.$/)
+	expect(function() { getopt(['deplyo'], settings) }).toThrow('Did you mean \'deploy\'?')
+	expect(function() { getopt(['--verbos'], Object.assign({}, settings, {suggestions: false})) }).toThrow(/^Unrecognized option '--verbos'\.$/)
+
+	try {
+		getopt(['--vers'], Object.assign({}, settings, {suggestions: 3}))
+	}
+	catch (e) {
+		expect(e.suggestions).toEqual(['--verbose', '--version'])
+	}
+	expect.assertions(7)
+})
+
+test('required options and positional parameters', function() {
+	let settings = {
+		options: [
+			{short: 'o', long: 'output', argument: 'file', required: true}
+		],
+		parameters: [
+			{name: 'input', description: 'The input file.'},
+			{name: 'count', optional: true, type: 'integer'},
+			{name: 'extra', optional: true, variadic: true}
+		]
+	}
+
+	let result = getopt(['-o', 'out', 'in', '2', 'a', 'b'], settings)
+	expect(result.parameters).toHaveLength(4)
+	expect(result.parameters.input.value).toBe('in')
+	expect(result.parameters.count.value).toBe(2)
+	expect(result.parameters.extra.map(function(x) { return x.value })).toEqual(['a', 'b'])
+
+	result = getopt(['-o', 'out', 'in'], settings)
+	expect(result.parameters.count).toBeUndefined()
+
+	expect(function() { getopt(['in'], settings) }).toThrow('Option \'--output\' is required.')
+	expect(function() { getopt(['-o', 'out'], settings) }).toThrow('Parameter \'input\' is required.')
+	expect(function() { getopt(['-o', 'out', 'in', 'x'], settings) }).toThrow('Invalid argument \'x\' for parameter \'count\': expected an integer.')
+	expect(function() { getopt(['-o', 'out', 'in', '1'], {options: settings.options, parameters: settings.parameters.slice(0, 2)}) }).not.toThrow()
+	expect(function() { getopt(['-o', 'out', 'in', '1', 'a'], {options: settings.options, parameters: settings.parameters.slice(0, 2)}) }).toThrow('Unexpected parameter \'a\'.')
+	expect(function() { getopt([], {parameters: [{name: 'a', optional: true}, {name: 'b'}]}) }).toThrow('settings.parameters[1] must be optional because it follows an optional parameter')
+})
+
+test('positional parameter usage', function() {
+	let settings = {
+		usage: {program: 'tool'},
+		options: [
+			{short: 'v'}
+		],
+		parameters: [
+			{name: 'input', description: 'The input file.'},
+			{name: 'extra', optional: true, variadic: true, description: 'Extra files.'}
+		]
+	}
+
+	let output = captureUsage(function() { getopt.usage(settings) })
+	expect(output).toMatch(/^Usage: tool \[option\]\.\.\. <input> \[extra\]\.\.\.\n/)
+	expect(output).toMatch(/Parameters:\n {2}<input> +The input file\.\n {2}\[extra\]\.\.\. Extra files\.\n/)
+})
+
+test('option relationships and groups', function() {
+	let settings = {
+		options: [
+			{short: 'q', long: 'quiet', conflicts: 'verbose'},
+			{short: 'v', long: 'verbose'},
+			{long: 'cert', argument: true, requires: 'tls'},
+			{long: 'tls', implies: 'secure'},
+			{long: 'secure'},
+			{long: 'json'},
+			{long: 'yaml'},
+			{long: 'text'}
+		],
+		groups: [
+			{title: 'Format', options: ['json', 'yaml', 'text'], exclusive: true, required: true}
+		]
+	}
+
+	let result = getopt(['--tls', '--json'], settings)
+	expect(result.options.secure).toBeDefined()
+
+	expect(function() { getopt(['-q', '-v', '--json'], settings) }).toThrow('Option \'--quiet\' conflicts with option \'--verbose\'.')
+	expect(function() { getopt(['--cert=x', '--json'], settings) }).toThrow('Option \'--cert\' requires option \'--tls\'.')
+	expect(function() { getopt(['--json', '--yaml'], settings) }).toThrow('Options \'--json\' and \'--yaml\' are mutually exclusive.')
+	expect(function() { getopt([], settings) }).toThrow('One of the options \'--json\', \'--yaml\', \'--text\' is required.')
+	expect(function() { getopt([], {options: [{long: 'a', requires: 'b'}]}) }).toThrow('settings.options[0].requires must be the key of an option')
+	expect(validate({options: [{long: 'a', implies: ['b', 'c']}, {long: 'b'}, {long: 'c', argument: true}]}))
+		.toEqual(['settings.options[0].implies[1] must be the key of an option that does not expect an argument'])
+
+	let output = captureUsage(function() { getopt.usage(settings) })
+	expect(output).toMatch(/Options:\n {2}-q --quiet +\n/)
+	expect(output).toMatch(/\n {2}--secure +\nFormat \(exactly one required\):\n {2}--json +\n {2}--yaml +\n {2}--text +\n$/)
+
+	// A default value is not specified, so it implies nothing and does not satisfy a required group.
+	settings.options[3] = {long: 'tls', argument: true, default: 'auto', implies: 'secure'}
+	settings.options[7] = {long: 'text', default: true}
+	result = getopt(['--json'], settings)
+	expect(result.options.tls.value).toBe('auto')
+	expect(result.options.secure).toBeUndefined()
+	expect(function() { getopt([], settings) }).toThrow('One of the options \'--json\', \'--yaml\', \'--text\' is required.')
+	expect(function() { getopt([], {options: [{long: 'a', argument: true, required: true, default: 'x'}]}) })
+		.toThrow('settings.options[0].default is not permitted when the option is required')
+})
+
+test('environment and configuration file fallback', function() {
+	let dir = fs.mkdtempSync(path.join(os.tmpdir(), 'getopt-'))
+	let json = path.join(dir, 'config.json')
+	let ini = path.join(dir, 'config.ini')
+	fs.writeFileSync(json, JSON.stringify({jobs: 2, output: 'a.txt', verbose: true}))
+	fs.writeFileSync(ini, '; Overrides\noutput = "b.txt"\n\n[deploy]\nforce = yes\n')
+
+	let settings = {
+		envPrefix: 'GETOPT_TEST_',
+		configFiles: [json, ini, path.join(dir, 'missing.json')],
+		options: [
+			{short: 'j', long: 'jobs', argument: true, type: 'integer'},
+			{short: 'o', long: 'output', argument: true},
+			{short: 'v', long: 'verbose'},
+			{long: 'level', argument: true, env: 'GETOPT_TEST_LOG_LEVEL'}
+		],
+		commands: [
+			{
+				name: 'deploy',
+				options: [
+					{long: 'force'}
+				]
+			}
+		]
+	}
+
+	process.env.GETOPT_TEST_JOBS = '4'
+	process.env.GETOPT_TEST_LOG_LEVEL = 'debug'
+	try {
+		let result = getopt(['-o', 'c.txt', 'deploy'], settings)
+		expect(result.options.output).toMatchObject({value: 'c.txt', source: 'cli'})
+		expect(result.options.jobs).toMatchObject({value: 4, source: 'env'})
+		expect(result.options.level).toMatchObject({value: 'debug', source: 'env'})
+		expect(result.options.verbose).toMatchObject({source: 'config'})
+		expect(result.options.force).toMatchObject({source: 'config'})
+
+		result = getopt([], settings)
+		expect(result.options.output).toMatchObject({value: 'b.txt', source: 'config'})
+
+		process.env.GETOPT_TEST_JOBS = 'many'
+		expect(function() { getopt([], settings) }).toThrow('Invalid argument \'many\' for environment variable \'GETOPT_TEST_JOBS\': expected an integer.')
+
+		let broken = path.join(dir, 'broken.json')
+		fs.writeFileSync(broken, '{')
+		expect(function() { getopt([], {configFiles: broken}) }).toThrow('Failed to read the configuration file "' + broken + '".')
+		expect(function() { getopt([], {configFiles: broken, locale: 'fr'}) }).toThrow('Impossible de lire le fichier de configuration « ' + broken + ' ».')
+
+		// Reject the names that would modify the prototype of the objects.
+		let polluting = path.join(dir, 'polluting.ini')
+		fs.writeFileSync(polluting, '[__proto__]\npolluted = yes\n')
+		expect(function() { getopt([], {configFiles: polluting}) }).toThrow(expect.objectContaining({
+			message: 'Failed to read the configuration file "' + polluting + '".',
+			cause: expect.objectContaining({message: 'Reserved name \'__proto__\' on line 1.'})
+		}))
+		fs.writeFileSync(polluting, '[deploy.prototype]\nforce = yes\n')
+		expect(function() { getopt([], {configFiles: polluting}) }).toThrow('Failed to read the configuration file')
+		fs.writeFileSync(polluting, 'constructor = yes\n')
+		expect(function() { getopt([], {configFiles: polluting}) }).toThrow('Failed to read the configuration file')
+		expect({}.polluted).toBeUndefined()
+
+		// Check the values that are not strings as if they were given on the command line.
+		let typed = path.join(dir, 'typed.json')
+		let typedSettings = {
+			configFiles: typed,
+			options: [
+				{long: 'level', argument: true, type: 'enum', choices: ['1', '2']},
+				{long: 'ratio', argument: true, type: 'number', multiple: 'array'},
+				{long: 'count', argument: true, type: 'integer', validate: function(value) { return value > 0 }}
+			]
+		}
+		fs.writeFileSync(typed, JSON.stringify({level: 2, ratio: [0.5, '2'], count: 3}))
+		expect(getopt([], typedSettings).values).toEqual({level: '2', ratio: [0.5, 2], count: 3})
+		fs.writeFileSync(typed, JSON.stringify({level: 99}))
+		expect(function() { getopt([], typedSettings) }).toThrow(expect.objectContaining({
+			message: 'Invalid argument \'99\' for configuration key \'level\': expected one of \'1\', \'2\'.',
+			code: ParseError.INVALID_ARGUMENT
+		}))
+		fs.writeFileSync(typed, JSON.stringify({ratio: ['a', 'b']}))
+		expect(function() { getopt([], typedSettings) }).toThrow('Invalid argument \'a\' for configuration key \'ratio\': expected a number.')
+		fs.writeFileSync(typed, JSON.stringify({count: {x: 1}}))
+		expect(function() { getopt([], typedSettings) }).toThrow('Invalid argument \'{"x":1}\' for configuration key \'count\': expected an integer.')
+		fs.writeFileSync(typed, JSON.stringify({count: 0}))
+		expect(function() { getopt([], typedSettings) }).toThrow('Invalid argument \'0\' for configuration key \'count\': rejected by the validator.')
+
+		let output = captureUsage(function() { getopt.usage(settings) })
+		expect(output).toMatch(/--level=<argument> +\(env: GETOPT_TEST_LOG_LEVEL\)\n/)
+	}
+	finally {
+		delete process.env.GETOPT_TEST_JOBS
+		delete process.env.GETOPT_TEST_LOG_LEVEL
+		fs.rmSync(dir, {recursive: true})
+	}
+})
+
+test('default values and accumulation modes', function() {
+	let settings = {
+		options: [
+			{short: 'o', long: 'output', argument: true, default: 'out.txt'},
+			{short: 'l', long: 'level', argument: true, multiple: 'first'},
+			{short: 'I', long: 'include', argument: true, multiple: 'array'},
+			{short: 'v', long: 'verbose', multiple: 'count', default: 0},
+			{short: 'c', long: 'config', argument: true, multiple: 'error'},
+			{short: 'n', argument: true}
+		]
+	}
+
+	let result = getopt(['-l', 'a', '--level=b', '-Ia', '-vvv', '-n1', '-n', '2', '--verbose'], settings)
+	expect(result.options.output).toMatchObject({value: 'out.txt', source: 'default'})
+	expect(result.options.level.value).toBe('a')
+	expect(result.options.include.value).toEqual(['a'])
+	expect(result.options.I).toBe(result.options.include)
+	expect(result.options.verbose.value).toBe(4)
+	expect(result.options.n.value).toBe('2')
+	expect(result.sequence.filter(function(x) { return x.option?.short[0] === 'n' }).map(function(x) { return x.value })).toEqual(['1', '2'])
+
+	result = getopt([], settings)
+	expect(result.options.verbose).toMatchObject({value: 0, source: 'default'})
+	expect(result.options.include).toBeUndefined()
+
+	expect(function() { getopt(['-ca', '-cb'], settings) }).toThrow('Option \'--config\' cannot be specified more than once.')
+
+	let output = captureUsage(function() { getopt.usage(settings) })
+	expect(output).toMatch(/-o --output=<argument> +\(default: out\.txt\)\n/)
+	expect(output).toMatch(/-v --verbose +\(default: 0\)\n/)
+})
+
+test('shell completion', function() {
+	let settings = {
+		usage: {program: 'tool'},
+		options: [
+			{short: 'f', long: 'format', argument: true, type: 'enum', choices: ['json', 'yaml']},
+			{short: 'i', long: 'input', argument: true, complete: 'file'},
+			{long: 'branch', argument: true, complete: function(partial) {
+				return ['main', 'develop'].filter(function(x) { return x.startsWith(partial) })
+			}}
+		],
+		commands: [
+			{name: 'db', options: [{long: 'dir', argument: true, complete: 'directory'}]}
+		]
+	}
+
+	let script = getopt.completion(settings, 'bash')
+	expect(script).toContain('complete -o default -F _tool_completion \'tool\'')
+	expect(script).toContain('\'tool -f\'|\'tool --format\')')
+	expect(script).toContain('compgen -W \'json yaml\'')
+	expect(script).toContain('\'tool db --dir\')')
+	expect(script).toContain('--getopt-complete \'tool\' \'--branch\' "$cur"')
+
+	script = getopt.completion(settings, 'zsh')
+	expect(script).toMatch(/^#compdef tool\n/)
+	expect(script).toContain('compadd -- \'json\' \'yaml\'')
+
+	script = getopt.completion(settings, 'fish')
+	expect(script).toContain('-s \'f\' -l \'format\' -r -f -a \'json yaml\'')
+	expect(script).toContain('-s \'i\' -l \'input\' -r -F')
+
+	expect(function() { getopt.completion(settings, 'cmd') }).toThrow('shell must be one of')
+	expect(function() { getopt.completion({syntax: 'windows', options: [{short: 'x'}]}, 'bash') })
+		.toThrow(new ArgumentError('settings.syntax must be gnu to complete the arguments'))
+	expect(function() { getopt.completion({syntax: 'plus', options: [{short: 'x'}]}, 'fish') }).toThrow(ArgumentError)
+	expect(function() { getopt.complete(['tool run', '-x', ''], {commands: [{name: 'run', syntax: 'single-dash'}]}) })
+		.toThrow('settings.commands[0].syntax must be gnu to complete the arguments')
+
+	expect(getopt.complete(['tool', '--branch', 'd'], settings)).toEqual(['develop'])
+	expect(getopt.complete(['tool', '--branch', '--branch=m'], settings)).toEqual(['main'])
+	expect(getopt.complete(['tool db', '--dir', ''], settings)).toEqual([])
+	expect(getopt.complete(['tool', '--unknown', ''], settings)).toEqual([])
+
+	let request = ['--getopt-complete', 'tool', '--branch', 'm']
+	expect(function() { getopt(request, settings) }).toThrow(expect.objectContaining({code: ParseError.UNKNOWN_OPTION}))
+	settings.completion = true
+	expect(function() { getopt(request, settings) }).toThrow(expect.objectContaining({candidates: ['main']}))
+	expect(function() { getopt(request, settings) }).toThrow(CompletionRequest)
+	expect(getopt(['--branch=main'], settings).values.branch).toBe('main')
+	expect(validate({completion: 'yes'})).toEqual(['settings.completion must be a boolean'])
+	return expect(getoptAsync(request, settings)).rejects.toThrow(CompletionRequest)
+})
+
+test('negatable options', function() {
+	let settings = {
+		options: [
+			{short: 'c', long: 'color', negatable: true},
+			{long: 'verbose'}
+		]
+	}
+
+	let result = getopt(['--no-color'], settings)
+	expect(result.options.color).toMatchObject({value: false, source: 'cli'})
+
+	result = getopt(['--no-color', '--color'], settings)
+	expect(result.options.color.value).toBe(true)
+	expect(result.sequence.map(function(x) { return x.value })).toEqual([false, true])
+
+	result = getopt(['-c', '--no-color'], settings)
+	expect(result.options.c.value).toBe(false)
+
+	expect(function() { getopt(['--no-verbose'], settings) }).toThrow(ParseError)
+	expect(function() { getopt(['--no-colr'], settings) }).toThrow('Did you mean \'--no-color\'?')
+	expect(function() { getopt(['--no-color=1'], settings) }).toThrow('doesn\'t take an argument')
+
+	expect(function() {
+		getopt([], {options: [{long: 'color', negatable: true}, {long: 'no-color'}]})
+	}).toThrow('cannot be negated as \'--no-color\'')
+	expect(function() {
+		getopt([], {options: [{long: 'color', argument: true, negatable: true}]})
+	}).toThrow('must not expect an argument')
+
+	let output = captureUsage(function() { getopt.usage(settings) })
+	expect(output).toMatch(/-c --\[no-\]color +\n/)
+})
+
+test('usage formats', function() {
+	let settings = {
+		usage: {program: 'tool', header: 'Processes the input.\n\n', footer: 'Report bugs to the tracker.\n'},
+		version: '1.2.3',
+		options: [
+			{short: 'o', long: 'output', argument: 'file', description: 'The output file.'},
+			{long: 'color', negatable: true}
+		],
+		parameters: [{name: 'input'}]
+	}
+
+	let output = getopt.formatUsage(settings)
+	expect(output).toMatch(/^tool 1\.2\.3\nProcesses the input\.\n\nUsage: tool \[option\]\.\.\. <input>\nOptions:\n/)
+	expect(output).toMatch(/ {2}-o --output=<file> The output file\.\n/)
+	expect(output).toMatch(/Report bugs to the tracker\.\n$/)
+
+	output = getopt.formatUsage(settings, {format: 'ansi'})
+	expect(output).toContain('\x1b[1mOptions:\x1b[0m\n')
+	expect(output).toContain('\x1b[36m-o --output=<file>\x1b[0m The output file.')
+
+	output = getopt.formatUsage(settings, {format: 'markdown'})
+	expect(output).toMatch(/^# tool 1\.2\.3\n\nProcesses the input\.\n\n## Usage\n\n```\ntool \[option\]\.\.\. <input>\n```\n/)
+	expect(output).toContain('## Options\n\n* `-o --output=<file>`: The output file.\n* `--[no-]color`\n')
+
+	output = getopt.formatUsage(settings, {format: 'man'})
+	expect(output).toMatch(/^\.TH "TOOL" 1 "" "tool 1\.2\.3"\n\.SH NAME\ntool\n\.SH SYNOPSIS\n\.B tool\n/)
+	expect(output).toContain('.SH OPTIONS\n.TP\n.B \\-o \\-\\-output=<file>\nThe output file.\n')
+	expect(output).toContain('.SH NOTES\nReport bugs to the tracker.\n')
+
+	output = getopt.formatUsage(settings, {
+		format: function(document) { return document.sections.map(function(x) { return x.title }).join() }
+	})
+	expect(output).toBe('Options,Parameters')
+
+	expect(function() { getopt.formatUsage(settings, {format: 'html'}) }).toThrow('format must be one of')
+
+	let written = ''
+	let stream = {write: function(x) { written += x }}
+	getopt.usage(settings, {stream: stream, exit: false})
+	expect(written).toBe(getopt.formatUsage(settings))
+})
+
+test('standard options and version', function() {
+	let settings = {
+		usage: {program: 'tool'},
+		version: '1.2.3',
+		standardOptions: true,
+		options: [
+			{short: 'h', long: 'host', argument: true, required: true}
+		],
+		commands: [
+			{name: 'db'}
+		]
+	}
+
+	let output = captureUsage(function() { getopt(['--version'], settings) })
+	expect(output).toBe('tool 1.2.3\n')
+
+	output = captureUsage(function() { getopt(['--help'], settings) })
+	expect(output).toMatch(/^tool 1\.2\.3\nUsage: tool /)
+	expect(output).toMatch(/\n {2}--help +Display this usage information and exit\.\n/)
+	expect(output).toMatch(/\n {2}-V --version +Display the version information and exit\.\n/)
+
+	output = captureUsage(function() { getopt(['--host=x', 'db', '-V'], settings) })
+	expect(output).toBe('tool db 1.2.3\n')
+
+	let result = getopt(['-h', 'example.com'], settings)
+	expect(result.options.host.value).toBe('example.com')
+
+	let written = ''
+	getopt.version(settings, {stream: {write: function(x) { written += x }}, exit: false})
+	expect(written).toBe('tool 1.2.3\n')
+
+	expect(function() { getopt.version({}, {exit: false}) }).toThrow('settings.version is required')
+})
+
+test('asynchronous parsing', async function() {
+	let events = []
+	let delay = function(value, ms) {
+		return new Promise(function(resolve) { setTimeout(resolve, ms ?? 1, value) })
+	}
+	let settings = {
+		options: [
+			{long: 'host', argument: true, type: async function(value) {
+				await delay()
+				events.push('type ' + value)
+				return value.toUpperCase()
+			}},
+			{short: 'p', long: 'port', argument: true, type: 'integer', validate: async function(value) {
+				await delay()
+				events.push('validate ' + value)
+				return value > 0
+			}},
+			{long: 'verbose', callback: async function() {
+				await delay()
+				events.push('callback')
+			}}
+		],
+		parameters: [
+			{name: 'file', optional: true, validate: function(value) {
+				if (value.startsWith('-'))
+					throw new Error('expected a file')
+			}}
+		]
+	}
+
+	let result = await getoptAsync(['--host=example', '--verbose', '-p', '80', 'in.txt'], settings)
+	expect(result.options.host.value).toBe('EXAMPLE')
+	expect(result.options.port.value).toBe(80)
+	expect(result.parameters.file.value).toBe('in.txt')
+	expect(events).toEqual(['type example', 'callback', 'validate 80'])
+
+	let error = jest.fn()
+	await expect(getoptAsync(['--port=0'], Object.assign({error: error}, settings)))
+		.rejects.toThrow('Invalid argument \'0\' for option \'--port\': rejected by the validator.')
+	expect(error).toHaveBeenCalledWith(expect.objectContaining({code: ParseError.INVALID_ARGUMENT, index: 0}))
+
+	expect(function() { getopt(['--', '-x'], settings) })
+		.toThrow('Invalid argument \'-x\' for parameter \'file\': expected a file.')
+
+	let values = []
+	for await (let result of parseAsync(['--host=a'], {options: [{long: 'host', argument: true, type: async function(value) { return value + '!' }}]}))
+		values.push(result.parameter.value)
+	expect(values).toEqual(['a!'])
+
+	process.env.GETOPT_TEST_HOST = 'env'
+	try {
+		result = await getoptAsync([], Object.assign({envPrefix: 'GETOPT_TEST_'}, settings))
+		expect(result.options.host).toMatchObject({value: 'ENV', source: 'env'})
+	}
+	finally {
+		delete process.env.GETOPT_TEST_HOST
+	}
+
+	// Observe every promise, even when the arguments are parsed synchronously or another error is reported first.
+	let unhandled = jest.fn()
+	process.on('unhandledRejection', unhandled)
+	process.env.GETOPT_TEST_HOST = 'env'
+	try {
+		settings = {
+			envPrefix: 'GETOPT_TEST_',
+			options: [
+				{long: 'host', argument: true, type: async function() {
+					await delay()
+					throw new Error('unreachable host')
+				}},
+				{long: 'user', argument: true, required: true}
+			]
+		}
+		await expect(getoptAsync([], settings)).rejects.toThrow('Invalid argument \'env\' for environment variable \'GETOPT_TEST_HOST\': unreachable host.')
+		expect(function() { getopt(['--user=u'], settings) }).toThrow(expect.objectContaining({
+			message: 'The argument for option \'--host\' is converted asynchronously, which requires getoptAsync or parseAsync.',
+			code: ParseError.ASYNCHRONOUS_ARGUMENT
+		}))
+		expect(function() { Array.from(parse(['--host=a'], settings)) }).toThrow(expect.objectContaining({
+			code: ParseError.ASYNCHRONOUS_ARGUMENT,
+			index: 0,
+			subIndex: 7,
+			subLength: 1
+		}))
+		await delay(undefined, 20)
+		expect(unhandled).not.toHaveBeenCalled()
+	}
+	finally {
+		process.off('unhandledRejection', unhandled)
+		delete process.env.GETOPT_TEST_HOST
+	}
+})
+
+test('argument positions and context', function() {
+	let settings = {
+		options: [
+			{short: 'o', long: 'output', argument: true},
+			{short: 'v', long: 'verbose'},
+			{short: 'p', long: 'port', argument: true, type: 'integer'}
+		]
+	}
+
+	let args = ['in.txt', '-vo', 'out.txt', '--output=x', '-p8080', 'last']
+	let results = Array.from(parse(args, settings))
+	expect(results.map(function(x) {
+		return [x.index, x.subIndex, x.subLength, x.valueIndex, x.valueSubIndex, x.valueSubLength]
+	})).toEqual([
+		[0, 0, 6, undefined, undefined, undefined],
+		[1, 1, 1, undefined, undefined, undefined],
+		[1, 2, 1, 2, 0, 7],
+		[3, 0, 8, 3, 9, 1],
+		[4, 1, 1, 4, 2, 4],
+		[5, 0, 4, undefined, undefined, undefined]
+	])
+	expect(results[4].parameter.value).toBe(8080)
+
+	expect(getopt.formatArgContext(args, results[3])).toBe('in.txt -vo out.txt --output=x -p8080 last\n                   ^~~~~~~~')
+	expect(getopt.formatArgContext(args, {index: 3, subIndex: 9, subLength: 1})).toBe('in.txt -vo out.txt --output=x -p8080 last\n                            ^')
+
+	let error
+	try {
+		getopt(['a b', '--port=1x'], settings)
+	}
+	catch (e) {
+		error = e
+	}
+	expect(error.index).toBe(1)
+	expect(getopt.formatArgContext(['a b', '--port=1x'], error)).toBe('\'a b\' --port=1x\n             ^~')
+
+	try {
+		getopt(['-vo'], settings)
+	}
+	catch (e) {
+		error = e
+	}
+	expect(error.code).toBe(ParseError.MISSING_ARGUMENT)
+	expect(getopt.formatArgContext(['-vo'], error)).toBe('-vo\n  ^')
+	expect(getopt.formatArgContext(['-v'], {})).toBe('-v')
+
+	results = Array.from(parse(['-c', '-v'], {options: [{short: 'c', argument: true, optional: true}, {short: 'v'}]}))
+	expect(results.map(function(x) { return [x.index, x.parameter.option.short[0]] })).toEqual([[0, 'c'], [1, 'v']])
+})
+
+test('option syntaxes', function() {
+	let options = [
+		{short: 'o', long: 'out', argument: 'file'},
+		{short: 'v', long: 'verbose'},
+		{short: 'x'},
+		{short: 'MF', argument: true}
+	]
+
+	// Parse the GNU syntax, where the longest short option is matched first.
+	let result = getopt(['-MFdeps.d', '-vx'], {options: options})
+	expect(result.options.MF.value).toBe('deps.d')
+	expect(result.options.x.value).toBe(true)
+	expect(function() { getopt(['+x'], {options: options, parameters: [{name: 'a'}]}) }).not.toThrow()
+
+	// Parse the Windows syntax.
+	let settings = {syntax: 'windows', standardOptions: true, usage: {program: 'tool'}, options: options}
+	result = getopt(['/out:a.txt', '/v', '/o=b.txt', '/MF', 'deps.d', '-x'], settings)
+	expect(result.options.out.value).toBe('b.txt')
+	expect(result.options.v).toBeDefined()
+	expect(result.options.MF.value).toBe('deps.d')
+	expect(result.parameters[0].value).toBe('-x')
+	expect(function() { getopt(['/verbos'], settings) }).toThrow('Unrecognized option \'/verbos\'. Did you mean \'/verbose\'?')
+	expect(function() { getopt(['/v:1'], settings) }).toThrow('Option \'/v\' doesn\'t take an argument.')
+	expect(function() { getopt(['/out'], settings) }).toThrow('Option \'/out\' requires an argument.')
+
+	let output = captureUsage(function() { getopt(['/?'], settings) })
+	expect(output).toMatch(/\n {2}\/o \/out:<file> +\n/)
+	expect(output).toMatch(/\n {2}\/\? \/help +Display this usage information and exit\.\n/)
+
+	// Only take an optional argument that is attached, and match '/?' exactly rather than as an abbreviation.
+	settings = {syntax: 'windows', abbreviations: true, options: [{long: 'color', argument: true, optional: true}, {long: 'help-me'}, {long: 'helpful'}]}
+	result = getopt(['/color', 'y', '/color:n'], settings)
+	expect(result.options.color.value).toBe('n')
+	expect(result.parameters[0].value).toBe('y')
+	expect(function() { getopt(['/?'], settings) }).toThrow('Unrecognized option \'/?\'.')
+
+	// Parse the single-dash syntax.
+	settings = {syntax: 'single-dash', options: options}
+	result = getopt(['-out', 'a.txt', '-verbose', '-o=b.txt', '--', '-x'], settings)
+	expect(result.options.out.value).toBe('b.txt')
+	expect(result.options.verbose).toBeDefined()
+	expect(result.parameters[0].value).toBe('-x')
+	expect(function() { getopt(['-vx'], settings) }).toThrow('Unrecognized option \'-vx\'.')
+	expect(getopt.formatUsage(settings)).toMatch(/\n {2}-o -out <file> +\n/)
+
+	// Parse the plus syntax.
+	settings = {syntax: 'plus', options: options.concat([{short: 'c', multiple: 'count'}])}
+	result = getopt(['-vx', '+x', '-cc'], settings)
+	expect(result.options.v.value).toBe(true)
+	expect(result.options.x.value).toBe(false)
+	expect(result.options.c.value).toBe(2)
+	expect(function() { getopt(['+o'], settings) }).toThrow(expect.objectContaining({
+		message: 'Option \'-o\' cannot be negated.',
+		code: ParseError.NOT_NEGATABLE
+	}))
+	expect(function() { getopt(['+c'], settings) }).toThrow('Option \'-c\' cannot be negated.')
+	expect(function() { getopt(['+q'], settings) }).toThrow('Unrecognized option \'+q\'.')
+	expect(function() { getopt([], {syntax: 'dos'}) }).toThrow('settings.syntax must be one of')
+})
+
+test('stopping at the first positional parameter and unknown options', function() {
+	let settings = {
+		options: [
+			{short: 'v', long: 'verbose'}
+		],
+		commands: [
+			{name: 'run', stopAtPositional: true, options: [{short: 'v', long: 'verbose'}]}
+		]
+	}
+
+	let result = getopt(['-v', 'run', '-v', 'node', 'script.js', '--flag', '-v'], settings)
+	expect(result.commands).toEqual(['run'])
+	expect(result.parameters.map(function(x) { return x.value })).toEqual(['node', 'script.js', '--flag', '-v'])
+	expect(result.terminator).toBeUndefined()
+
+	result = getopt(['run', '--', 'node', '-v'], settings)
+	expect(result.terminator).toBe(1)
+	expect(result.parameters.map(function(x) { return x.value })).toEqual(['node', '-v'])
+
+	process.env.POSIXLY_CORRECT = '1'
+	try {
+		result = getopt(['a', '-v'], {options: settings.options})
+		expect(result.parameters.map(function(x) { return x.value })).toEqual(['a', '-v'])
+	}
+	finally {
+		delete process.env.POSIXLY_CORRECT
+	}
+
+	settings = {
+		unknown: 'passthrough',
+		options: [
+			{short: 'v', long: 'verbose'}
+		]
+	}
+	result = getopt(['--proxy=x', 'a', '-vqx', '--verbose'], settings)
+	expect(result.unknown).toEqual([
+		{value: '--proxy=x', index: 0, subIndex: 0, subLength: 9},
+		{value: '-qx', index: 2, subIndex: 2, subLength: 2}
+	])
+	expect(getopt.formatArgContext(result.args, result.unknown[1])).toBe('--proxy=x a -vqx --verbose\n              ^~')
+	expect(result.parameters.map(function(x) { return x.value })).toEqual(['a'])
+	expect(result.options.verbose).toBeDefined()
+
+	settings.unknown = 'positional'
+	result = getopt(['--proxy=x', 'a'], settings)
+	expect(result.unknown.map(function(x) { return x.value })).toEqual(['--proxy=x'])
+	expect(result.parameters.map(function(x) { return x.value })).toEqual(['--proxy=x', 'a'])
+
+	expect(function() { getopt(['-q'], {unknown: 'ignore'}) }).toThrow('settings.unknown must be one of')
+})
+
+test('response files', function() {
+	let dir = fs.mkdtempSync(path.join(os.tmpdir(), 'getopt-'))
+	let args = path.join(dir, 'args.txt')
+	let nested = path.join(dir, 'nested.txt')
+	let cycle = path.join(dir, 'cycle.txt')
+	fs.writeFileSync(args, '# Build flags\n-o "out dir/a.out" \\\n  --level=\'very high\'\n@nested.txt\n')
+	fs.writeFileSync(nested, 'input.c\n--unknown\n')
+	fs.writeFileSync(cycle, '-v @cycle.txt\n')
+
+	let settings = {
+		responseFiles: true,
+		options: [
+			{short: 'o', long: 'output', argument: true},
+			{long: 'level', argument: true},
+			{short: 'v', long: 'verbose'}
+		]
+	}
+
+	try {
+		let results = Array.from(parse(['-v', '@' + args], Object.assign({unknown: 'passthrough'}, settings)))
+		expect(results.map(function(x) { return x.parameter.value })).toEqual([undefined, 'out dir/a.out', 'very high', 'input.c', '--unknown'])
+		expect(results[0].origin).toBeUndefined()
+		expect(results[1]).toMatchObject({index: 1, origin: {file: args, line: 2}})
+		expect(results[2].origin).toEqual({file: args, line: 3})
+		expect(results[4].origin).toEqual({file: nested, line: 2})
+
+		expect(function() { getopt(['@' + args], settings) }).toThrow(new RegExp('^' + nested.replace(/\W/g, '\\$&') + ':2: Unrecognized option \'--unknown\'\\.$'))
+		expect(function() { getopt(['@' + cycle], settings) }).toThrow('cycle.txt:1: Response file "' + cycle + '" includes itself.')
+		expect(function() { getopt(['@' + args], Object.assign({}, settings, {responseFiles: 1})) }).toThrow('is nested more than 1 levels deep.')
+		expect(function() { getopt(['@' + path.join(dir, 'missing.txt')], settings) }).toThrow(expect.objectContaining({code: ParseError.INVALID_RESPONSE_FILE, index: 0}))
+
+		// The indexes refer to the expanded arguments, which are returned with the results and the errors.
+		let expanded = getopt(['@' + nested, 'p', '--', 'tail'], Object.assign({unknown: 'positional'}, settings))
+		expect(expanded.args).toEqual(['input.c', '--unknown', 'p', '--', 'tail'])
+		expect(expanded.args.slice(expanded.terminator + 1)).toEqual(['tail'])
+		let error
+		try {
+			getopt(['@' + nested, '-x'], settings)
+		}
+		catch (e) {
+			error = e
+		}
+		expect(error.args).toEqual(['input.c', '--unknown', '-x'])
+		expect(getopt.formatArgContext(error.args, error)).toBe('input.c --unknown -x\n        ^~~~~~~~~')
+
+		fs.writeFileSync(args, '-o \'unterminated\n')
+		expect(function() { getopt(['@' + args], settings) }).toThrow('Unterminated single quote on line 1.')
+
+		expect(getopt(['@' + args], {}).parameters[0].value).toBe('@' + args)
+	}
+	finally {
+		fs.rmSync(dir, {recursive: true})
+	}
+})
+
+test('splitting and stringifying command lines', function() {
+	expect(split('cc -o \'out dir/a.out\' "say \\"hi\\" $HOME" a\\ b # comment\n-c')).toEqual(['cc', '-o', 'out dir/a.out', 'say "hi" $HOME', 'a b', '-c'])
+	expect(function() { split('echo "a') }).toThrow('Unterminated double quote on line 1.')
+
+	let settings = {
+		options: [
+			{short: 'p', long: 'port', argument: true, type: 'integer'},
+			{short: 'o', argument: true},
+			{short: 'l', argument: true, optional: true},
+			{short: 'v', long: 'verbose', multiple: 'count'},
+			{long: 'color', negatable: true},
+			{long: 'define', argument: true, type: 'json', multiple: 'array'}
+		],
+		parameters: [
+			{name: 'files', variadic: true, optional: true}
+		],
+		commands: [
+			{name: ['run', 'r'], syntax: 'windows', options: [{long: 'force'}]}
+		]
+	}
+
+	let results = getopt(['-vv', '-p', '80', '-ofile name', '-lx', '--no-color', '--define={"a":1}', 'r', '/force', 'it\'s', '--', '-x'], settings)
+	let commandLine = stringify(results, settings)
+	expect(commandLine).toBe('--verbose --verbose --port=80 -o \'file name\' -lx --no-color \'--define={"a":1}\' run /force \'it\'\\\'\'s\' -- -x')
+
+	let roundTrip = getopt(split(commandLine), settings)
+	expect(roundTrip.commands).toEqual(results.commands)
+	expect(roundTrip.options.verbose.value).toBe(2)
+	expect(roundTrip.options.port.value).toBe(80)
+	expect(roundTrip.options.o.value).toBe('file name')
+	expect(roundTrip.options.l.value).toBe('x')
+	expect(roundTrip.options.color.value).toBe(false)
+	expect(roundTrip.options.define.value).toEqual([{a: 1}])
+	expect(roundTrip.options.force).toBeDefined()
+	expect(roundTrip.parameters.map(function(x) { return x.value })).toEqual(['it\'s', '-x'])
+
+	expect(stringify(getopt(['+v'], {syntax: 'plus', options: [{short: 'v'}]}), {syntax: 'plus', options: [{short: 'v'}]})).toBe('+v')
+})
+
+test('command-line interface', function() {
+	let dir = fs.mkdtempSync(path.join(os.tmpdir(), 'getopt-'))
+	let yaml = path.join(dir, 'spec.yaml')
+	let json = path.join(dir, 'spec.json')
+	let unnamed = path.join(dir, 'unnamed.json')
+	fs.writeFileSync(yaml, [
+		'usage: {program: deploy}',
+		'version: 1.2.0',
+		'standardOptions: true',
+		'options:',
+		'  - {short: v, long: verbose, multiple: count}',
+		'  - {long: output-dir, argument: dir}',
+		'  - {long: tag, argument: true, multiple: array}',
+		'  - {long: usage, callback: usage}',
+		'parameters:',
+		'  - {name: target}'
+	].join('\n'))
+	fs.writeFileSync(json, JSON.stringify({options: [{short: 1}]}))
+	fs.writeFileSync(unnamed, JSON.stringify({options: [{long: 'force'}]}))
+
+	/**
+	 * Runs the command-line interface and captures its output.
+	 * @param {array.<string>} args The arguments.
+	 * @returns {object} The exit code and the output.
+	 */
+	function run(args) {
+		let stdout = ''
+		let stderr = ''
+		let exitCode = main(args, {
+			stdout: {write: function(x) { stdout += x }},
+			stderr: {write: function(x) { stderr += x }}
+		})
+		return {exitCode: exitCode, stdout: stdout, stderr: stderr}
+	}
+
+	try {
+		expect(run([yaml, '-vv', '--output-dir=a b', '--tag=x', '--tag=it\'s', 'prod'])).toEqual({
+			exitCode: exitCodes.success,
+			stdout: 'verbose=2\noutputDir=\'a b\'\ntag=\'x\nit\'\\\'\'s\'\nset -- prod\n',
+			stderr: ''
+		})
+		expect(run(['-f', 'nul', '-p', 'opt_', yaml, '-v', 'prod']).stdout).toBe('opt_verbose=1\0--\0prod\0')
+		expect(JSON.parse(run(['--format=json', yaml, 'prod']).stdout).parameters[0].value).toBe('prod')
+		expect(JSON.parse(run(['-f', 'compact', yaml, '-v', '--output-dir=a', 'prod']).stdout)).toEqual({
+			commands: [],
+			values: {verbose: 1, outputDir: 'a', usage: false, help: false, version: false},
+			rest: ['prod']
+		})
+
+		let result = run([yaml, '--version'])
+		expect(result).toEqual({exitCode: exitCodes.usageRequest, stdout: 'printf \'%s\' \'deploy 1.2.0\n\'\nexit 0\n', stderr: ''})
+		result = run(['--format=json', yaml, '--usage'])
+		expect(result.exitCode).toBe(exitCodes.usageRequest)
+		expect(result.stdout).toMatch(/^Usage: deploy \[option\]\.\.\. <target>\n/m)
+
+		expect(run([yaml, '--bogus'])).toEqual({exitCode: exitCodes.parseError, stdout: 'exit 1\n', stderr: 'Unrecognized option \'--bogus\'.\n'})
+
+		result = run(['-f', 'json', json])
+		expect(result.exitCode).toBe(exitCodes.settingsError)
+		expect(result.stderr).toContain(json + ': settings.options[0].short should be string')
+
+		result = run([yaml, '--completion', 'bash'])
+		expect(result.exitCode).toBe(exitCodes.success)
+		expect(result.stdout).toContain('complete -o default -F _deploy_completion \'deploy\'\n')
+		expect(run(['--completion=bash', yaml]).stdout).toBe(result.stdout)
+		result = run(['--completion=fish', unnamed])
+		expect(result.exitCode).toBe(exitCodes.settingsError)
+		expect(result.stderr).toBe(unnamed + ': settings.usage.program or --program is required to write a completion script\n')
+		expect(run(['--completion=fish', '--program=unnamed', unnamed]).stdout).toContain('complete -c \'unnamed\' ')
+	}
+	finally {
+		fs.rmSync(dir, {recursive: true})
+	}
+})
+
+test('validation of the settings', function() {
+	expect(validate({
+		options: [
+			{short: 'v', long: 'verbose'},
+			{short: ['v', 'x y'], long: '-quiet'},
+			{short: 'a'},
+			{short: 'b', long: 'out=file'},
+			{short: 'ab'},
+			{long: 'level', optional: true, type: 'integer'},
+			null
+		],
+		commands: [
+			{name: 'run'},
+			{name: ['start', 'run'], syntax: 'single-dash', options: [{short: 'foo'}, {long: 'foo'}]}
+		]
+	})).toEqual([
+		'settings.options[1].short[1] must not contain \'=\' or whitespace',
+		'settings.options[1].long must not begin with \'-\'',
+		'settings.options[3].long must not contain \'=\' or whitespace',
+		'settings.options[5].optional is only permitted when the option expects an argument',
+		'settings.options[5].type is only permitted when the option expects an argument',
+		'settings.options[6] must be an object',
+		'settings.commands[1].options[0].short \'foo\' is unreachable because it is shadowed by settings.commands[1].options[1].long',
+		'settings.options[1].short[0] \'v\' clashes with settings.options[0].short',
+		'settings.options[4].short \'ab\' makes the sequence of short options \'a\', \'b\' unreachable',
+		'settings.commands[1].name[1] \'run\' clashes with settings.commands[0].name'
+	])
+	expect(validate({options: {}, parameters: [null]})).toEqual([
+		'settings.options must be an array',
+		'settings.parameters[0] must be an object'
+	])
+	expect(validate({options: [{short: 'a', argument: true}, {short: 'ab'}]})).toEqual([])
+	expect(validate({
+		options: [
+			{name: 'level', short: 'l', argument: true},
+			{name: ['mode', 'level'], long: 'mode'},
+			{short: 'v', long: 'verbose'},
+			{name: 'v', long: 'version'},
+			{name: 'quiet', short: 'q', long: 'quiet'}
+		]
+	})).toEqual([
+		'settings.options[1].name[1] \'level\' clashes with settings.options[0].name',
+		'settings.options[3].name \'v\' clashes with settings.options[2].short'
+	])
+	expect(validate('nope')).toEqual(['settings must be an object'])
+	expect(function() { getopt([], 'nope') }).toThrow(new ArgumentError('settings must be an object'))
+
+	expect(function() { getopt([], {options: [{long: 'x'}, {long: 'x'}]}) }).toThrow('settings.options[1].long \'x\' clashes with settings.options[0].long')
+})
+
+test('abbreviations and case-insensitive matching', function() {
+	let settings = {
+		abbreviations: true,
+		options: [
+			{short: 'v', long: ['verbose', 'verbosity']},
+			{long: 'version'},
+			{long: 'color', negatable: true},
+			{long: 'output', argument: true}
+		]
+	}
+
+	let results = Array.from(parse(['--verb', '--vers', '--no-c', '--out=a', '-v', '--version'], settings))
+	expect(results.map(function(x) { return x.form })).toEqual(['--verbose', '--version', '--no-color', '--output', '-v', '--version'])
+	expect(results[3].parameter.value).toBe('a')
+
+	expect(function() { getopt(['--ver'], settings) }).toThrow(expect.objectContaining({
+		message: 'Option \'--ver\' is ambiguous; it could be \'--verbose\', \'--version\'.',
+		code: ParseError.AMBIGUOUS_OPTION,
+		suggestions: ['--verbose', '--version'],
+		index: 0,
+		subLength: 5
+	}))
+	expect(function() { getopt(['--verb'], {options: settings.options}) }).toThrow('Unrecognized option \'--verb\'.')
+	expect(function() { getopt(['--OUTPUT=a'], settings) }).toThrow('Unrecognized option \'--OUTPUT\'.')
+
+	settings.caseInsensitive = true
+	expect(getopt(['--OUT=b'], settings).options.output.value).toBe('b')
+
+	settings = {syntax: 'windows', caseInsensitive: true, options: [{short: 'v', long: 'verbose'}]}
+	expect(Array.from(parse(['/V', '/Verbose'], settings)).map(function(x) { return x.form })).toEqual(['/v', '/verbose'])
+	expect(validate({caseInsensitive: true, options: [{long: 'all'}, {long: 'ALL'}]})).toEqual([
+		'settings.options[1].long \'ALL\' clashes with settings.options[0].long'
+	])
+})
+
+test('plain values', async function() {
+	let settings = {
+		options: [
+			{short: 'o', long: 'output-dir', argument: true, default: '.'},
+			{short: 'q', long: 'quiet'},
+			{long: 'color', negatable: true},
+			{short: 'v', multiple: 'count'},
+			{name: 'level', short: 'l', argument: true, type: 'integer'},
+			{long: 'tag', argument: true, multiple: 'array'}
+		],
+		parameters: [{name: 'files', variadic: true}],
+		commands: [{name: 'run', options: [{long: 'dry-run'}]}, {name: 'test', options: [{long: 'watch'}]}]
+	}
+
+	let results = getopt(['-l2', '--no-color', '--tag=a', '--tag=b', 'run', '--dry-run', 'x', 'y'], settings)
+	expect(results.values).toEqual({
+		outputDir: '.',
+		quiet: false,
+		color: false,
+		v: 0,
+		level: 2,
+		tag: ['a', 'b'],
+		dryRun: true
+	})
+	expect(results.rest).toEqual(['x', 'y'])
+
+	results = await getoptAsync(['-qvv', 'test'], settings)
+	expect(results.values).toEqual({outputDir: '.', quiet: true, color: false, v: 2, level: undefined, tag: undefined, watch: false})
+	expect(results.rest).toEqual([])
+
+	let optional = {options: [{long: 'color', argument: true, optional: true}, {long: 'tag', argument: true, optional: true, multiple: 'array'}]}
+	expect(getopt([], optional).values).toEqual({color: undefined, tag: undefined})
+	expect(getopt(['--color', '--tag', '--tag=x'], optional).values).toEqual({color: true, tag: [true, 'x']})
+
+	let standard = {standardOptions: true, commands: [{name: 'run'}]}
+	const mockExit = jest.spyOn(process, 'exit').mockImplementation()
+	const mockWrite = jest.spyOn(process.stdout, 'write').mockImplementation(function() { return true })
+	try {
+		expect(getopt(['--help', 'run'], standard).values).toEqual({help: true})
+	}
+	finally {
+		mockWrite.mockRestore()
+		mockExit.mockRestore()
+	}
+
+	expect(validate({
+		options: [{short: 'v', long: 'verbose'}, {long: 'dry-run'}],
+		commands: [{name: 'run', options: [{long: 'verbose', multiple: 'count'}, {name: 'dryRun', short: 'n', argument: true}, {short: 'v'}]}]
+	})).toEqual([
+		'settings.commands[0].options[0] must agree with settings.options[0] on its argument, optional, and multiple because they share the primary name \'verbose\'',
+		'settings.commands[0].options[1] must agree with settings.options[1] on its argument, optional, and multiple because they share the primary name \'dryRun\''
+	])
+	let repeated = {options: [{short: 'v', long: 'verbose'}], commands: [{name: 'run', options: [{long: 'verbose'}]}]}
+	expect(getopt(['-v', 'run'], repeated).values).toEqual({verbose: true})
+	expect(getopt(['run', '--verbose'], repeated).values).toEqual({verbose: true})
+})
+
+test('typed settings', function() {
+	let settings = defineOptions({
+		options: [
+			{short: 'q', long: 'quiet', multiple: 'array'},
+			{short: 'v', long: 'verbose', multiple: 'count'},
+			{short: 'x', implies: 'quiet'}
+		]
+	})
+	expect(getopt.defineOptions).toBe(defineOptions)
+	expect(function() { defineOptions({options: [{long: 'x'}, {long: 'x'}]}) }).toThrow(ArgumentError)
+
+	// The flags that are specified are true.
+	let results = getopt(['-qq', '-vv'], settings)
+	expect(results.options.quiet.value).toEqual([true, true])
+	expect(results.options.verbose.value).toBe(2)
+	expect(getopt(['-x'], settings).options.quiet.value).toEqual([true])
+	expect(Array.from(parse(['-q'], settings))[0].parameter.value).toBeUndefined()
+})
+
+test('interactive prompts', async function() {
+	let settings = {
+		options: [
+			{long: 'env', argument: true, type: 'enum', choices: ['dev', 'prod'], required: true, prompt: true, description: 'The environment.'},
+			{long: 'user', argument: true, prompt: 'text'},
+			{long: 'password', argument: true, required: true, prompt: 'password'},
+			{long: 'force', prompt: true},
+			{long: 'retries', argument: true, type: 'integer', default: 3, prompt: true}
+		]
+	}
+
+	/**
+	 * Creates a terminal that answers each prompt in turn.
+	 * @param {array.<string>} answers The answers.
+	 * @param {boolean}        [isTTY] A value indicating whether the input is a terminal.
+	 * @returns {object} The input and output streams.
+	 */
+	function terminal(answers, isTTY = true) {
+		let input = new PassThrough()
+		input.isTTY = isTTY
+		let output = {
+			text: '',
+			write: function(x) {
+				this.text += x
+				if (/(?:: |\] )$/.test(x))
+					setImmediate(function() {
+						if (answers.length > 0)
+							input.write(answers.shift() + '\n')
+						else
+							input.end()
+					})
+			}
+		}
+		return {input: input, output: output}
+	}
+
+	let streams = terminal(['9', '2', '', 'hunter2', 'y'])
+	let results = await getoptInteractive([], settings, streams)
+	expect(results.values).toEqual({env: 'prod', user: undefined, password: 'hunter2', force: true, retries: 3})
+	expect(results.options.env.source).toBe('prompt')
+	expect(streams.output.text).toContain('  1) dev\n  2) prod\n')
+	expect(streams.output.text).toContain('The environment [1-2]: ')
+	expect(streams.output.text).toContain('Invalid argument \'9\' for option \'--env\': expected one of \'dev\', \'prod\'.\n')
+	expect(streams.output.text).toContain('--force? [y/n] ')
+	expect(streams.output.text).not.toContain('hunter2')
+
+	// Only prompt for the options that were not specified.
+	streams = terminal(['secret', 'n'])
+	results = await getoptInteractive(['--env=dev', '--user=root'], settings, streams)
+	expect(results.values).toMatchObject({env: 'dev', user: 'root', password: 'secret', force: false})
+	expect(streams.output.text).not.toContain('environment')
+
+	// Report the missing options when the input is not a terminal or ends.
+	await expect(getoptInteractive([], settings, terminal(['dev'], false))).rejects.toThrow('Option \'--env\' is required.')
+	await expect(getoptInteractive(['--env=dev'], settings, terminal([]))).rejects.toMatchObject({code: ParseError.MISSING_OPTION})
+
+	expect(validate({options: [{long: 'a', prompt: 'confirm', argument: true}, {long: 'b', prompt: 'choice', argument: true}, {long: 'c', prompt: 'text'}, {long: 'd', prompt: 'ask'}]})).toEqual([
+		'settings.options[0].prompt cannot be \'confirm\' because the option expects an argument',
+		'settings.options[1].prompt cannot be \'choice\' because the type is not \'enum\'',
+		'settings.options[2].prompt cannot be \'text\' because the option does not expect an argument',
+		'settings.options[3].prompt must be a boolean or one of choice, confirm, password, text'
+	])
+})
+
+test('localized messages', function() {
+	let settings = {
+		locale: 'fr-CA',
+		standardOptions: true,
+		usage: {program: 'prog'},
+		options: [
+			{short: 'v', long: 'verbose', description: {en: 'Be verbose.', fr: 'Être bavard.'}},
+			{short: 'n', argument: true, type: 'integer', description: {de: 'Anzahl.'}}
+		],
+		commands: [{name: 'run', description: {en: 'Run it.', fr: 'L\'exécuter.'}}]
+	}
+
+	// Translate the errors and the usage documentation.
+	expect(function() { getopt(['--verbos'], settings) }).toThrow('Option « --verbos » non reconnue. Vouliez-vous dire \'--verbose\' ?')
+	expect(function() { getopt(['-nx'], settings) }).toThrow('Argument « x » invalide pour l\'option « -n » : entier attendu.')
+	expect(function() { getopt(['stop'], settings) }).toThrow('Commande « stop » non reconnue.')
+	expect(getopt.formatUsage(settings)).toBe(
+		'Utilisation : prog [option]... <commande> [argument]...\n'
+		+ 'Options :\n'
+		+ '  -v --verbose Être bavard.\n'
+		+ '  -n <integer> Anzahl.\n'
+		+ '  -h --help    Afficher cette aide et quitter.\n'
+		+ 'Commandes :\n'
+		+ '  run L\'exécuter.\n')
+
+	// Replace some of the messages, and fall back to English for an unknown locale.
+	settings = {
+		locale: 'xx',
+		messages: {
+			unknownOption: 'No such option: {option}.',
+			suggestion: function(values) { return '(' + values.suggestions + ')' }
+		},
+		options: [{short: 'v', long: 'verbose', description: {en: 'Be verbose.', fr: 'Être bavard.'}}]
+	}
+	expect(function() { getopt(['--verbos'], settings) }).toThrow('No such option: --verbos. (\'--verbose\')')
+	expect(getopt.formatUsage(settings)).toContain('  -v --verbose Be verbose.\n')
+
+	expect(validate({locale: '', messages: {unrecognized: 'x', usage: 1}, options: [{short: 'v', description: {en: 1}}]})).toEqual([
+		'settings.locale must be a non-empty string',
+		'settings.messages.unrecognized is not a known message',
+		'settings.messages.usage must be a string or a function',
+		'settings.options[0].description must be a string or an object of strings indexed by locale'
+	])
+})